@@ -0,0 +1,111 @@
+/**
+ * compare_page.js
+ *
+ * Side-by-side comparison of two runs (compare.html). Each side is a run from
+ * history or an exported JSON file; `?origin=<origin>` limits the pickers to
+ * one origin and `&ts=<meta.timestamp>` preselects B.
+ */
+
+import {
+  $,
+  resultsSection,
+  renderComparison,
+  escHtml,
+  findPreviousComparable,
+  parseRunReport,
+  diffReports,
+  loadHistory,
+  loadRecentRuns,
+} from "./views.js";
+
+// Saved runs offered in each picker
+const RECENT_RUNS = 200;
+
+const pickA = $("pick-a");
+const pickB = $("pick-b");
+
+// Saved runs (newest first) followed by loaded files, indexed by option value
+let candidates = [];
+
+async function initComparePage() {
+  const params = new URLSearchParams(location.search);
+  const origin = params.get("origin");
+  const ts = params.get("ts");
+
+  candidates = origin ? await loadHistory(origin, RECENT_RUNS) : await loadRecentRuns(RECENT_RUNS);
+  fillPickers();
+
+  // Default: B is the requested (or newest) run, A the previous comparable one
+  const idxB = Math.max(0, candidates.findIndex(r => r.meta.timestamp === ts));
+  const prev = findPreviousComparable(candidates, idxB) ?? candidates[idxB + 1];
+  if (candidates.length < 2) {
+    showError(candidates.length === 0
+      ? "No saved runs yet. Load two exported reports to compare them."
+      : "Only one saved run. Load an exported report to compare against it.");
+  }
+  if (candidates.length > 0) {
+    pickB.value = String(idxB);
+    pickA.value = String(prev ? candidates.indexOf(prev) : idxB);
+  }
+
+  pickA.onchange = pickB.onchange = compareSelected;
+  $("file-a").onchange = e => loadFile(e.target, pickA);
+  $("file-b").onchange = e => loadFile(e.target, pickB);
+  compareSelected();
+}
+
+function runLabel(r) {
+  return [
+    new Date(r.meta.timestamp).toLocaleString(),
+    r.meta.url,
+    r.meta.throttling?.label,
+    r.meta.flow ? `flow "${r.meta.flow.name}"` : null,
+    r.batch ? `median of ${r.batch.count}` : null,
+  ].filter(Boolean).join(" · ");
+}
+
+function fillPickers() {
+  for (const select of [pickA, pickB]) {
+    const value = select.value;
+    select.innerHTML = candidates
+      .map((r, i) => `<option value="${i}">${r.fileName ? `📄 ${escHtml(r.fileName)} – ` : ""}${escHtml(runLabel(r))}</option>`)
+      .join("");
+    select.value = value;
+  }
+}
+
+async function loadFile(input, select) {
+  const file = input.files[0];
+  input.value = "";
+  if (!file) return;
+  try {
+    const report = parseRunReport(await file.text());
+    candidates.push({ ...report, fileName: file.name });
+    fillPickers();
+    select.value = String(candidates.length - 1);
+    compareSelected();
+  } catch (e) {
+    showError(`Could not load ${file.name}: ${e.message}`);
+  }
+}
+
+function compareSelected() {
+  const a = candidates[parseInt(pickA.value, 10)];
+  const b = candidates[parseInt(pickB.value, 10)];
+  if (!a || !b) return;
+  if (a === b) {
+    showError("Pick two different runs.");
+    resultsSection.classList.add("hidden");
+    return;
+  }
+  showError("");
+  renderComparison(diffReports(a, b));
+}
+
+function showError(msg) {
+  const el = $("status-msg");
+  el.textContent = msg;
+  el.className = msg ? "status-msg error" : "status-msg";
+}
+
+initComparePage().catch(e => showError(`Failed to load runs: ${e.message}`));
@@ -4,6 +4,7 @@
  * Injected into every page (via manifest content_scripts).
  * Listens for START_OBSERVERS / STOP_OBSERVERS / GET_METRICS messages
  * from the service worker and responds with collected PerformanceObserver data.
+ * START_RECORDING / GET_RECORDING / STOP_RECORDING drive the flow recorder.
  */
 
 (function () {
@@ -11,22 +12,45 @@
 
   // ── State ──────────────────────────────────────────────────────────────────
 
+  // Rows kept in the report for the interaction and long-animation-frame
+  // tables; the popup shows the first 10, the full-page viewer all of them
+  const MAX_REPORTED_ROWS = 50;
+
   let active = false;
   let observers = [];
 
   // Raw metric accumulators
   let lcpValue = null;
   let lcpElement = null;
-  let clsValue = 0;
-  let clsSources = [];
+  let clsSources = [];   // every layout shift without recent input
   let inpValue = null;
   let fcpValue = null;
   let longTaskCount = 0;
   let longTaskTotal = 0;
   let longTaskMax = 0;
+  let longTaskEntries = []; // { startTime, duration }, sliced per route
+  let longAnimationFrames = [];
+
+  // SPA routes: the session is split into one segment per client-side route.
+  // A route ends where the next one starts.
+  let routes = [];          // { url, navigationType, startTime, navigationId }
+  let hardNavigationId = null;
+  let softLcpEntries = [];  // LCP entries of soft navigations { navigationId, startTime }
+  let resourceEntries = []; // { startTime, type, bytes }, sliced per route
+  let routePoll = null;
 
-  // INP: track per-interaction worst event duration
-  const interactionMap = new Map(); // interactionId → max duration
+  // INP: track the worst event entry of each interaction, with its phases
+  const interactionMap = new Map(); // interactionId → InteractionDetail
+  // Interactions shorter than the 16ms observer threshold never reach
+  // interactionMap, but still count towards the INP percentile. Chrome hands out
+  // interactionIds in steps of 7, so the observed id range gives an estimate
+  // when performance.interactionCount is unavailable.
+  let minInteractionId = Infinity;
+  let maxInteractionId = 0;
+  // performance.interactionCount counts since page load; this is its value
+  // when the observers started, so interactions before the measurement are
+  // left out
+  let interactionCountAtStart = 0;
 
   // ── Observer setup ─────────────────────────────────────────────────────────
 
@@ -35,8 +59,19 @@
     active = true;
     resetAccumulators();
 
+    const nav = performance.getEntriesByType("navigation")[0];
+    hardNavigationId = nav ? nav.navigationId : null;
+    routes = [{ url: location.href, navigationType: "hard", startTime: 0, navigationId: hardNavigationId }];
+    watchRoutes();
+
     tryObserve("largest-contentful-paint", (entries) => {
       for (const entry of entries) {
+        // With soft-navigation support, each soft navigation reports its own
+        // LCP entries tagged with that navigation's navigationId
+        if (entry.navigationId && entry.navigationId !== hardNavigationId) {
+          softLcpEntries.push({ navigationId: entry.navigationId, startTime: entry.startTime });
+          continue;
+        }
         lcpValue = entry.startTime;
         lcpElement = {
           tag: entry.element ? entry.element.tagName : null,
@@ -45,12 +80,29 @@
           startTime: entry.startTime,
         };
       }
+    }, { includeSoftNavigationObservations: true });
+
+    // Soft navigations (Chrome with soft-navigation heuristics): tag the
+    // matching route so its LCP can be looked up, and start it at the
+    // interaction that triggered it
+    tryObserve("soft-navigation", (entries) => {
+      for (const entry of entries) {
+        let route = routes.find((r) => r.navigationType === "soft" && !r.navigationId && r.url === entry.name);
+        if (!route) {
+          route = { url: entry.name, navigationType: "soft", startTime: entry.startTime, navigationId: null };
+          routes.push(route);
+        }
+        route.navigationId = entry.navigationId;
+        route.startTime = Math.min(route.startTime, entry.startTime);
+        routes.sort((a, b) => a.startTime - b.startTime);
+      }
     });
 
     tryObserve("layout-shift", (entries) => {
       for (const entry of entries) {
+        // Shifts right after a route change are caused by the user's click
+        // and excluded by hadRecentInput, as on a hard navigation
         if (!entry.hadRecentInput) {
-          clsValue += entry.value;
           clsSources.push({
             value: entry.value,
             startTime: entry.startTime,
@@ -75,13 +127,25 @@
     // INP via event timing (Chrome 96+)
     tryObserve("event", (entries) => {
       for (const entry of entries) {
-        if (entry.interactionId) {
-          const prev = interactionMap.get(entry.interactionId) || 0;
-          interactionMap.set(
-            entry.interactionId,
-            Math.max(prev, entry.duration)
-          );
-        }
+        if (!entry.interactionId) continue;
+        minInteractionId = Math.min(minInteractionId, entry.interactionId);
+        maxInteractionId = Math.max(maxInteractionId, entry.interactionId);
+        const prev = interactionMap.get(entry.interactionId);
+        // An interaction spans several events (pointerdown, pointerup, click…);
+        // keep the longest one, which is what INP measures.
+        if (prev && prev.duration >= entry.duration) continue;
+        interactionMap.set(entry.interactionId, {
+          interactionId: entry.interactionId,
+          type: entry.name,
+          target: selectorOf(entry.target),
+          startTime: entry.startTime,
+          duration: entry.duration,
+          // Event Timing phases; duration is rounded to 8ms, so presentation
+          // delay absorbs the rounding error
+          inputDelay: entry.processingStart - entry.startTime,
+          processingTime: entry.processingEnd - entry.processingStart,
+          presentationDelay: Math.max(0, entry.startTime + entry.duration - entry.processingEnd),
+        });
       }
     }, { durationThreshold: 16 });
 
@@ -105,10 +169,45 @@
     tryObserve("longtask", (entries) => {
       for (const entry of entries) {
         longTaskCount++;
+        longTaskEntries.push({ startTime: entry.startTime, duration: entry.duration });
         longTaskTotal += entry.duration;
         if (entry.duration > longTaskMax) longTaskMax = entry.duration;
       }
     });
+
+    // Resource timing via an observer, so long SPA sessions are not cut off by
+    // the 250-entry resource timing buffer
+    tryObserve("resource", (entries) => {
+      for (const entry of entries) {
+        resourceEntries.push({
+          startTime: entry.startTime,
+          type: entry.initiatorType || "other",
+          bytes: entry.transferSize || entry.encodedBodySize || 0,
+        });
+      }
+    });
+
+    // Long Animation Frames (Chrome 123+): frames > 50ms with script attribution
+    tryObserve("long-animation-frame", (entries) => {
+      for (const entry of entries) {
+        const end = entry.startTime + entry.duration;
+        longAnimationFrames.push({
+          startTime: entry.startTime,
+          duration: entry.duration,
+          blockingDuration: entry.blockingDuration,
+          renderDuration: entry.renderStart ? end - entry.renderStart : 0,
+          styleAndLayoutDuration: entry.styleAndLayoutStart ? end - entry.styleAndLayoutStart : 0,
+          scripts: (entry.scripts || []).map((s) => ({
+            sourceURL: s.sourceURL || null,
+            functionName: s.sourceFunctionName || null,
+            invoker: s.invoker || null,
+            invokerType: s.invokerType || null,
+            duration: s.duration,
+            forcedStyleAndLayoutDuration: s.forcedStyleAndLayoutDuration || 0,
+          })),
+        });
+      }
+    });
   }
 
   function tryObserve(type, callback, options = {}) {
@@ -123,6 +222,7 @@
 
   function stopObservers() {
     active = false;
+    unwatchRoutes();
     for (const { obs, callback } of observers) {
       try {
         // Flush any buffered entries that haven't been delivered yet
@@ -137,29 +237,43 @@
   function resetAccumulators() {
     lcpValue = null;
     lcpElement = null;
-    clsValue = 0;
     clsSources = [];
     inpValue = null;
     fcpValue = null;
     longTaskCount = 0;
     longTaskTotal = 0;
     longTaskMax = 0;
+    longTaskEntries = [];
+    longAnimationFrames = [];
+    routes = [];
+    softLcpEntries = [];
+    resourceEntries = [];
     interactionMap.clear();
+    minInteractionId = Infinity;
+    maxInteractionId = 0;
+    interactionCountAtStart = performance.interactionCount ?? 0;
   }
 
   // ── Metric snapshot ─────────────────────────────────────────────────────────
 
   function getMetrics() {
-    // Derive INP from interactionMap (worst 98th-percentile approximation: use max)
+    const interactions = [...interactionMap.values()]
+      .sort((a, b) => b.duration - a.duration)
+      .map((i) => ({ ...i, scripts: scriptsDuring(i.startTime, i.startTime + i.duration) }));
+
+    // INP: ignore one highest interaction for every 50 interactions, so the
+    // max is used below 50 interactions and roughly p98 above that
+    const interactionCount = countInteractions();
     let derivedInp = inpValue; // first-input fallback
-    if (interactionMap.size > 0) {
-      derivedInp = Math.max(...interactionMap.values());
+    let inpInteraction = null;
+    if (interactions.length > 0) {
+      const idx = Math.min(Math.floor(interactionCount / 50), interactions.length - 1);
+      inpInteraction = interactions[idx];
+      derivedInp = inpInteraction.duration;
     }
 
-    // Top-10 individual interaction durations (sorted descending) for future INP proxy
-    const interactionDurations = [...interactionMap.values()]
-      .sort((a, b) => b - a)
-      .slice(0, 10);
+    // Top-10 individual interaction durations (sorted descending)
+    const interactionDurations = interactions.slice(0, 10).map((i) => i.duration);
 
     // Navigation timing
     const navEntries = performance.getEntriesByType("navigation");
@@ -199,29 +313,64 @@
     }
 
     slowest.sort((a, b) => b.durationMs - a.durationMs);
+
+    // renderBlockingStatus exists from Chrome 107; null lets the service
+    // worker fall back to its priority heuristic
+    const renderBlockingUrls = resources.length > 0 && "renderBlockingStatus" in resources[0]
+      ? resources.filter((r) => r.renderBlockingStatus === "blocking").map((r) => r.name)
+      : null;
     largest.sort((a, b) => b.transferBytes - a.transferBytes);
 
     const pageHostname = location.hostname;
 
-    // Top-5 CLS shift entries by value (not insertion order)
-    const topClsSources = [...clsSources]
-      .sort((a, b) => b.value - a.value)
-      .slice(0, 5);
+    // CLS is the worst session window; report its top-5 shifts by value
+    const clsWindows = sessionWindows(clsSources);
+    const worstWindow = clsWindows.reduce((w, c) => (!w || c.value > w.value ? c : w), null);
+    const topClsSources = worstWindow
+      ? [...worstWindow.shifts].sort((a, b) => b.value - a.value).slice(0, 5)
+      : [];
 
     return {
       lcp: lcpValue,
       lcpElement,
-      cls: clsValue,
+      lcpBreakdown: lcpBreakdown(nav, resources),
+      cls: worstWindow ? worstWindow.value : 0,
       clsSources: topClsSources,
+      layoutShifts: {
+        total: clsSources.reduce((s, e) => s + e.value, 0),
+        shiftCount: clsSources.length,
+        windowCount: clsWindows.length,
+        worstWindow: worstWindow
+          ? {
+              start: worstWindow.start,
+              end: worstWindow.end,
+              value: worstWindow.value,
+              shiftCount: worstWindow.shifts.length,
+            }
+          : null,
+      },
       inp: derivedInp,
+      inpInteraction,
+      interactionStats: {
+        count: interactionCount,
+        observed: interactions.length,
+        p50: interactionPercentile(interactions, interactionCount, 0.5),
+        p75: interactionPercentile(interactions, interactionCount, 0.75),
+        p98: interactionPercentile(interactions, interactionCount, 0.98),
+      },
+      interactions: interactions.slice(0, MAX_REPORTED_ROWS),
       interactionDurations,
+      routes: routeSegments(interactions),
       fcp: fcpValue,
+      timeOrigin: performance.timeOrigin,
+      renderBlockingUrls,
       ttfb,
       dcl,
       load,
       longTaskCount,
       longTaskTotal,
       longTaskMax,
+      longAnimationFrames: summarizeLongAnimationFrames(interactions),
       resources: {
         byType: Object.values(byType),
         slowest: slowest.slice(0, 10),
@@ -233,6 +382,241 @@
     };
   }
 
+  // ── SPA routes ──────────────────────────────────────────────────────────────
+
+  // history.pushState/replaceState run in the page's world, so they cannot be
+  // wrapped from this isolated world. The Navigation API reports every
+  // same-document URL change; without it, popstate plus polling catches them.
+  function watchRoutes() {
+    if (window.navigation) {
+      navigation.addEventListener("currententrychange", onRouteChange);
+    } else {
+      window.addEventListener("popstate", onRouteChange);
+      routePoll = setInterval(onRouteChange, 250);
+    }
+  }
+
+  function unwatchRoutes() {
+    if (window.navigation) navigation.removeEventListener("currententrychange", onRouteChange);
+    window.removeEventListener("popstate", onRouteChange);
+    clearInterval(routePoll);
+    routePoll = null;
+  }
+
+  function onRouteChange() {
+    const last = routes[routes.length - 1];
+    if (!active || !last || location.href === last.url) return;
+    routes.push({ url: location.href, navigationType: "soft", startTime: performance.now(), navigationId: null });
+  }
+
+  // Per-route metrics: every entry is assigned to the route it started in
+  function routeSegments(interactions) {
+    const now = performance.now();
+    return routes.map((route, idx) => {
+      const start = route.startTime;
+      const end = idx + 1 < routes.length ? routes[idx + 1].startTime : now;
+      const inRoute = (e) => e.startTime >= start && e.startTime < end;
+
+      let lcp = null;
+      if (route.navigationType === "hard") {
+        lcp = lcpValue;
+      } else if (route.navigationId) {
+        const entries = softLcpEntries.filter((e) => e.navigationId === route.navigationId);
+        if (entries.length > 0) lcp = entries[entries.length - 1].startTime - start;
+      }
+
+      const windows = sessionWindows(clsSources.filter(inRoute));
+      const routeInteractions = interactions.filter(inRoute);
+      const inpInteraction = routeInteractions.length > 0
+        ? routeInteractions[Math.min(
+            Math.floor(estimateInteractionCount(routeInteractions) / 50),
+            routeInteractions.length - 1
+          )]
+        : null;
+      const tasks = longTaskEntries.filter(inRoute);
+      const requests = resourceEntries.filter(inRoute);
+      const byType = {};
+      for (const r of requests) {
+        if (!byType[r.type]) byType[r.type] = { type: r.type, requests: 0, bytes: 0 };
+        byType[r.type].requests++;
+        byType[r.type].bytes += r.bytes;
+      }
+
+      return {
+        url: route.url,
+        navigationType: route.navigationType,
+        startTime: start,
+        durationMs: end - start,
+        lcp,
+        cls: windows.reduce((max, w) => Math.max(max, w.value), 0),
+        inp: inpInteraction ? inpInteraction.duration : null,
+        interactionCount: routeInteractions.length,
+        longTasks: {
+          count: tasks.length,
+          totalMs: tasks.reduce((s, t) => s + t.duration, 0),
+          maxMs: tasks.reduce((m, t) => Math.max(m, t.duration), 0),
+        },
+        network: {
+          requests: requests.length,
+          transferredBytes: requests.reduce((s, r) => s + r.bytes, 0),
+          byType: Object.values(byType),
+        },
+      };
+    });
+  }
+
+  // ── LCP breakdown ───────────────────────────────────────────────────────────
+
+  // Split LCP into TTFB, resource load delay, resource load duration and
+  // element render delay. Text LCPs have no resource, so everything after
+  // TTFB is render delay. Returns null when the LCP resource has no matching
+  // resource timing entry (e.g. it was already in the memory cache).
+  function lcpBreakdown(nav, resources) {
+    if (lcpValue == null || !nav) return null;
+    const ttfb = nav.responseStart - nav.startTime;
+    const url = lcpElement && lcpElement.url;
+    if (!url || url.startsWith("data:")) {
+      return { ttfb, loadDelay: 0, loadDuration: 0, renderDelay: Math.max(0, lcpValue - ttfb) };
+    }
+    const res = resources.find((r) => r.name === url);
+    if (!res) return null;
+    // requestStart is 0 for cross-origin resources without Timing-Allow-Origin
+    const loadStart = Math.min(lcpValue, Math.max(ttfb, res.requestStart || res.startTime));
+    const loadEnd = Math.min(lcpValue, Math.max(loadStart, res.responseEnd));
+    return {
+      ttfb,
+      loadDelay: loadStart - ttfb,
+      loadDuration: Math.max(0, loadEnd - loadStart),
+      renderDelay: Math.max(0, lcpValue - loadEnd),
+    };
+  }
+
+  // ── INP helpers ─────────────────────────────────────────────────────────────
+
+  function countInteractions() {
+    let count = interactionMap.size;
+    if (typeof performance.interactionCount === "number") {
+      count = Math.max(count, performance.interactionCount - interactionCountAtStart);
+    } else if (maxInteractionId > 0) {
+      count = Math.max(count, Math.round((maxInteractionId - minInteractionId) / 7) + 1);
+    }
+    return count;
+  }
+
+  // Interaction count of a subset (one route), from its interactionId range
+  function estimateInteractionCount(list) {
+    const ids = list.map((i) => i.interactionId);
+    return Math.max(list.length, Math.round((Math.max(...ids) - Math.min(...ids)) / 7) + 1);
+  }
+
+  // Nearest-rank percentile over all `count` interactions, of which only the
+  // slowest (sortedDesc, ≥ 16ms) were observed. Null when the rank falls among
+  // the unobserved ones, i.e. the percentile is below the 16ms threshold.
+  function interactionPercentile(sortedDesc, count, p) {
+    if (count === 0) return null;
+    const idx = Math.min(Math.floor(count * (1 - p)), count - 1);
+    return idx < sortedDesc.length ? sortedDesc[idx].duration : null;
+  }
+
+  // ── CLS session windows ─────────────────────────────────────────────────────
+
+  // Group shifts into Core Web Vitals session windows: a window ends after a
+  // 1s gap between shifts or once it spans 5s.
+  function sessionWindows(shifts) {
+    const windows = [];
+    let current = null;
+    for (const shift of [...shifts].sort((a, b) => a.startTime - b.startTime)) {
+      if (
+        current &&
+        shift.startTime - current.end < 1000 &&
+        shift.startTime - current.start < 5000
+      ) {
+        current.value += shift.value;
+        current.end = shift.startTime;
+        current.shifts.push(shift);
+      } else {
+        current = { start: shift.startTime, end: shift.startTime, value: shift.value, shifts: [shift] };
+        windows.push(current);
+      }
+    }
+    return windows;
+  }
+
+  // ── Long animation frame summaries ───────────────────────────────────────────
+
+  function overlaps(frame, start, end) {
+    return frame.startTime < end && frame.startTime + frame.duration > start;
+  }
+
+  // Top scripts of the long animation frames overlapping [start, end]
+  function scriptsDuring(start, end) {
+    return longAnimationFrames
+      .filter((f) => overlaps(f, start, end))
+      .flatMap((f) => f.scripts)
+      .sort((a, b) => b.duration - a.duration)
+      .slice(0, 3);
+  }
+
+  function summarizeLongAnimationFrames(interactions) {
+    if (longAnimationFrames.length === 0) return null;
+
+    // Aggregate script time across every frame
+    const scriptMap = new Map();
+    for (const frame of longAnimationFrames) {
+      for (const s of frame.scripts) {
+        const key = `${s.sourceURL}|${s.functionName}|${s.invoker}`;
+        if (!scriptMap.has(key)) {
+          scriptMap.set(key, {
+            sourceURL: s.sourceURL,
+            functionName: s.functionName,
+            invoker: s.invoker,
+            invokerType: s.invokerType,
+            totalMs: 0,
+            frames: 0,
+          });
+        }
+        const agg = scriptMap.get(key);
+        agg.totalMs += s.duration;
+        agg.frames++;
+      }
+    }
+
+    const worst = [...longAnimationFrames]
+      .sort((a, b) => b.blockingDuration - a.blockingDuration)
+      .slice(0, MAX_REPORTED_ROWS)
+      .map((f) => ({
+        ...f,
+        scripts: [...f.scripts].sort((a, b) => b.duration - a.duration).slice(0, 3),
+        interactionIds: interactions
+          .filter((i) => overlaps(f, i.startTime, i.startTime + i.duration))
+          .map((i) => i.interactionId),
+      }));
+
+    return {
+      count: longAnimationFrames.length,
+      totalBlockingMs: longAnimationFrames.reduce((s, f) => s + f.blockingDuration, 0),
+      worst,
+      topScripts: [...scriptMap.values()].sort((a, b) => b.totalMs - a.totalMs).slice(0, MAX_REPORTED_ROWS),
+    };
+  }
+
+  // Short, human-readable CSS selector for an event target
+  function selectorOf(node) {
+    if (!node || node.nodeType !== Node.ELEMENT_NODE) return null;
+    const parts = [];
+    let el = node;
+    while (el && el.nodeType === Node.ELEMENT_NODE && parts.length < 4) {
+      if (el.id) {
+        parts.unshift(`${el.localName}#${CSS.escape(el.id)}`);
+        break;
+      }
+      const classes = [...el.classList].slice(0, 2).map((c) => "." + CSS.escape(c)).join("");
+      parts.unshift(el.localName + classes);
+      el = el.parentElement;
+    }
+    return parts.join(" > ");
+  }
+
   function domainOf(url) {
     try {
       return new URL(url).hostname;
@@ -241,6 +625,130 @@
     }
   }
 
+  // ── Flow recorder ────────────────────────────────────────────────────────────
+
+  // Attributes test suites keep stable across builds, tried before ids
+  const STABLE_ATTRS = ["data-testid", "data-test", "data-cy", "data-qa"];
+  // Named keys recorded as their own step; printable characters are typed
+  const RECORDED_KEYS = new Set(["Enter", "Tab", "Escape", "Backspace", "ArrowUp", "ArrowDown", "ArrowLeft", "ArrowRight"]);
+  const MAX_STEP_DELAY_MS = 5000;  // longer pauses are recorded as this
+
+  let recording = false;
+  let flowSteps = [];  // { type: "click"|"type"|"key"|"scroll", selector, text, key, x, y, delayMs }
+  let lastStepAt = 0;
+
+  function startRecording() {
+    if (recording) return;
+    recording = true;
+    flowSteps = [];
+    lastStepAt = performance.now();
+    window.addEventListener("click", onRecordClick, true);
+    window.addEventListener("keydown", onRecordKey, true);
+    window.addEventListener("scroll", onRecordScroll, true);
+  }
+
+  function stopRecording() {
+    recording = false;
+    window.removeEventListener("click", onRecordClick, true);
+    window.removeEventListener("keydown", onRecordKey, true);
+    window.removeEventListener("scroll", onRecordScroll, true);
+    return { url: location.href, steps: flowSteps };
+  }
+
+  function addStep(step) {
+    const now = performance.now();
+    flowSteps.push({ ...step, delayMs: Math.round(Math.min(now - lastStepAt, MAX_STEP_DELAY_MS)) });
+    lastStepAt = now;
+  }
+
+  function onRecordClick(e) {
+    if (!e.isTrusted) return;
+    const selector = stableSelectorOf(e.target);
+    if (selector) addStep({ type: "click", selector });
+  }
+
+  // Characters typed into one element in a row form a single "type" step.
+  // Password fields are never recorded.
+  function onRecordKey(e) {
+    if (!e.isTrusted || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.type === "password") return;
+    if (e.key.length === 1) {
+      const selector = stableSelectorOf(e.target);
+      const last = flowSteps[flowSteps.length - 1];
+      if (last && last.type === "type" && last.selector === selector) {
+        last.text += e.key;
+        lastStepAt = performance.now();
+      } else {
+        addStep({ type: "type", selector, text: e.key });
+      }
+    } else if (RECORDED_KEYS.has(e.key)) {
+      addStep({ type: "key", key: e.key });
+    }
+  }
+
+  // A scroll gesture fires many events; consecutive ones on the same
+  // scroller collapse into one step holding the final position
+  function onRecordScroll(e) {
+    if (!e.isTrusted) return;
+    const isPage = e.target === document || e.target === document.scrollingElement;
+    const scroller = isPage ? document.scrollingElement : e.target;
+    const selector = isPage ? null : stableSelectorOf(scroller);
+    if (!isPage && !selector) return;
+    const position = { x: Math.round(scroller.scrollLeft), y: Math.round(scroller.scrollTop) };
+    const last = flowSteps[flowSteps.length - 1];
+    if (last && last.type === "scroll" && last.selector === selector) {
+      Object.assign(last, position);
+      lastStepAt = performance.now();
+    } else {
+      addStep({ type: "scroll", selector, ...position });
+    }
+  }
+
+  // Selector that survives rebuilds: it starts at the nearest element with a
+  // stable anchor (test id, hand-written id, form field name, ARIA label)
+  // that makes it unique, or at <body>, and steps down with :nth-of-type
+  function stableSelectorOf(node) {
+    let el = node && node.nodeType === Node.ELEMENT_NODE ? node : node && node.parentElement;
+    if (!el || el === document.documentElement || el === document.body) return null;
+    const parts = [];
+    while (el && el !== document.body && el !== document.documentElement) {
+      const anchor = anchorOf(el);
+      const anchored = isOnlyMatch(el, anchor);
+      parts.unshift(anchored ? anchor : positionOf(el));
+      if (anchored && document.querySelectorAll(parts.join(" > ")).length === 1) return parts.join(" > ");
+      el = el.parentElement;
+    }
+    return ["body", ...parts].join(" > ");
+  }
+
+  function isOnlyMatch(el, selector) {
+    if (!selector) return false;
+    const siblings = el.parentElement ? [...el.parentElement.children] : [el];
+    return siblings.filter((s) => s.matches(selector)).length === 1;
+  }
+
+  function positionOf(el) {
+    const sameTag = el.parentElement
+      ? [...el.parentElement.children].filter((s) => s.localName === el.localName)
+      : [el];
+    return sameTag.length === 1 ? el.localName : `${el.localName}:nth-of-type(${sameTag.indexOf(el) + 1})`;
+  }
+
+  function anchorOf(el) {
+    for (const attr of STABLE_ATTRS) {
+      if (el.hasAttribute(attr)) return `[${attr}="${CSS.escape(el.getAttribute(attr))}"]`;
+    }
+    // Skip framework-generated ids (":r1:", "ember123", "mui-4521")
+    if (el.id && !/\d{3,}|:/.test(el.id)) return `#${CSS.escape(el.id)}`;
+    const name = el.getAttribute("name");
+    if (name && /^(input|select|textarea|button)$/.test(el.localName)) {
+      return `${el.localName}[name="${CSS.escape(name)}"]`;
+    }
+    const label = el.getAttribute("aria-label");
+    if (label) return `${el.localName}[aria-label="${CSS.escape(label)}"]`;
+    return null;
+  }
+
   // ── Message handling ─────────────────────────────────────────────────────────
 
   chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
@@ -258,5 +766,18 @@
       sendResponse({ ok: true, metrics: getMetrics() });
       return false;
     }
+    if (msg.type === "START_RECORDING") {
+      startRecording();
+      sendResponse({ ok: true });
+      return false;
+    }
+    if (msg.type === "GET_RECORDING") {
+      sendResponse({ ok: true, recording, steps: flowSteps.length });
+      return false;
+    }
+    if (msg.type === "STOP_RECORDING") {
+      sendResponse({ ok: true, flow: stopRecording() });
+      return false;
+    }
   });
 })();
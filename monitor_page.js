@@ -0,0 +1,159 @@
+/**
+ * monitor_page.js
+ *
+ * Scheduled monitoring dashboard (monitor.html). Edits the list of URLs the
+ * service worker measures on a chrome.alarms schedule and shows the latest
+ * check of each: when it ran, its outcome and a link to the saved report.
+ */
+
+import {
+  $,
+  escHtml,
+  rateMetric,
+  formatBytes,
+  formatMs,
+  loadMonitorConfig,
+  saveMonitorConfig,
+  loadMonitorStatus,
+} from "./views.js";
+
+// Poll the service worker this often while a cycle is running
+const STATE_POLL_MS = 2000;
+
+const STATUS_LABELS = {
+  "ok":          { cls: "good", text: "✓ OK" },
+  "over-budget": { cls: "needs", text: "Over budget" },
+  "error":       { cls: "poor", text: "✕ Error" },
+};
+
+let config = null;
+let pollTimer = null;
+
+async function initMonitorPage() {
+  config = await loadMonitorConfig();
+  $("monitor-urls").value = config.urls.join("\n");
+  $("monitor-enabled").checked = config.enabled;
+  $("monitor-interval").value = String(config.intervalMinutes);
+  $("monitor-throttle").value = config.throttling?.profile ?? "none";
+
+  $("btn-monitor-save").onclick = () => saveSettings();
+  $("btn-monitor-run").onclick = runNow;
+
+  // The service worker writes each URL's outcome as soon as it is checked
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes.monitorStatus) renderStatus();
+  });
+
+  await renderStatus();
+  await refreshState();
+}
+
+// Returns false when the form is invalid and nothing was saved
+async function saveSettings({ quiet = false } = {}) {
+  const lines = $("monitor-urls").value.split("\n").map(l => l.trim()).filter(Boolean);
+  const invalid = lines.filter(l => !isHttpUrl(l));
+  if (invalid.length > 0) {
+    showError(`Not an http(s) URL: ${invalid.join(", ")}`);
+    return false;
+  }
+  const enabled = $("monitor-enabled").checked;
+  if (enabled && lines.length === 0) {
+    showError("Add at least one URL to check on a schedule.");
+    return false;
+  }
+  const profile = $("monitor-throttle").value;
+  config = {
+    enabled,
+    intervalMinutes: parseInt($("monitor-interval").value, 10),
+    urls: [...new Set(lines)],
+    throttling: profile === "none" ? null : { profile },
+  };
+  await saveMonitorConfig(config);
+  $("monitor-urls").value = config.urls.join("\n");
+  if (!quiet) showError("Settings saved.", false);
+  await renderStatus();
+  await refreshState();
+  return true;
+}
+
+async function runNow() {
+  if (!(await saveSettings({ quiet: true }))) return;
+  const resp = await sendMessage({ type: "MONITOR_RUN_NOW" });
+  if (!resp?.ok) {
+    showError(resp?.error ?? "Could not start the check.");
+    return;
+  }
+  showError("");
+  await refreshState();
+}
+
+// Running/next-check line; polls until a running cycle finishes
+async function refreshState() {
+  clearTimeout(pollTimer);
+  const state = await sendMessage({ type: "GET_MONITOR_STATE" });
+  const el = $("monitor-state");
+  $("btn-monitor-run").disabled = !!state?.running;
+  if (state?.running) {
+    el.textContent = `Checking ${state.currentUrl ?? "…"}`;
+    pollTimer = setTimeout(refreshState, STATE_POLL_MS);
+  } else if (state?.nextCheckAt) {
+    el.textContent = `Next check: ${new Date(state.nextCheckAt).toLocaleString()}`;
+  } else {
+    el.textContent = "Not scheduled. Enable “Check on a schedule” or use ▶ Check now.";
+  }
+}
+
+async function renderStatus() {
+  const status = await loadMonitorStatus();
+  const tbody = $("tbl-monitor").querySelector("tbody");
+  if (config.urls.length === 0) {
+    tbody.innerHTML = `<tr><td colspan="7" class="cell-note">No URLs yet.</td></tr>`;
+    return;
+  }
+  tbody.innerHTML = config.urls.map(url => {
+    const s = status[url];
+    if (!s) {
+      return `<tr><td title="${escHtml(url)}">${escHtml(url)}</td><td colspan="6" class="cell-note">Not checked yet</td></tr>`;
+    }
+    const label = STATUS_LABELS[s.status] ?? STATUS_LABELS.error;
+    // After a failed check the metrics and link are from the last saved run
+    const report = s.timestamp
+      ? `<a href="report.html?${new URLSearchParams({ origin: s.origin, ts: s.timestamp })}" target="_blank">Report ↗</a>`
+      : "";
+    return `<tr>
+      <td title="${escHtml(url)}">${escHtml(url)}</td>
+      <td>${escHtml(new Date(s.checkedAt).toLocaleString())}</td>
+      <td class="${label.cls}-text">${label.text}${s.error ? `: ${escHtml(s.error)}` : ""}${s.status === "over-budget" ? ` (${s.budgetFailures} failed)` : ""}</td>
+      <td class="${s.lcp == null ? "" : `${rateMetric("lcp", s.lcp)}-text`}">${formatMs(s.lcp)}</td>
+      <td class="${s.cls == null ? "" : `${rateMetric("cls", s.cls)}-text`}">${s.cls == null ? "–" : s.cls.toFixed(3)}</td>
+      <td>${s.transferredBytes == null ? "–" : formatBytes(s.transferredBytes)}</td>
+      <td>${report}</td>
+    </tr>`;
+  }).join("");
+}
+
+function isHttpUrl(str) {
+  try {
+    const { protocol } = new URL(str);
+    return protocol === "http:" || protocol === "https:";
+  } catch (_) {
+    return false;
+  }
+}
+
+function sendMessage(msg) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage(msg, (resp) => {
+      if (chrome.runtime.lastError) resolve(null);
+      else resolve(resp);
+    });
+  });
+}
+
+function showError(msg, isError = true) {
+  const el = $("status-msg");
+  el.textContent = msg;
+  el.className = msg && isError ? "status-msg error" : "status-msg";
+}
+
+initMonitorPage().catch(e => showError(`Failed to load monitoring settings: ${e.message}`));
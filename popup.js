@@ -4,165 +4,72 @@
  * Handles popup UI logic:
  *  - Start/Stop button wiring
  *  - Message passing with service worker
- *  - Rendering report (scorecard, timeline, insights, tables)
- *  - Export JSON
+ *  - Budget editor
  *  - History panel
+ *
+ * Rendering and exports live in views.js; it re-exports report.js, which
+ * builds and stores the runs.
  */
 
-"use strict";
-
-// ── Inline report utilities (mirrors report.js without ES module imports) ──────
-
-const THRESHOLDS = {
-  lcp:  { good: 2500,  needs: 4000 },
-  fcp:  { good: 1800,  needs: 3000 },
-  inp:  { good: 200,   needs: 500  },
-  cls:  { good: 0.1,   needs: 0.25 },
-  ttfb: { good: 800,   needs: 1800 },
-};
-
-function rateMetric(metric, value) {
-  const t = THRESHOLDS[metric];
-  if (!t || value == null || isNaN(value)) return "neutral";
-  if (value <= t.good) return "good";
-  if (value <= t.needs) return "needs";
-  return "poor";
-}
-
-function formatBytes(bytes) {
-  if (bytes == null || isNaN(bytes)) return "–";
-  if (bytes < 1024) return `${bytes} B`;
-  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
-  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
-}
-
-function formatMs(ms) {
-  if (ms == null || isNaN(ms)) return "–";
-  return `${Math.round(ms)}`;
-}
-
-function generateInsights(report) {
-  const insights = [];
-  const { timings = {}, longTasks = {}, network = {}, lcpElement } = report;
-
-  if (timings.lcp != null) {
-    if (timings.lcp > 4000) {
-      const elem = lcpElement
-        ? ` (${lcpElement.tag}${lcpElement.url ? " – " + lcpElement.url : ""})`
-        : "";
-      insights.push({ cls: "poor", text: `LCP is very slow: ${Math.round(timings.lcp)}ms${elem}. Target ≤ 2500ms.` });
-    } else if (timings.lcp > 2500) {
-      const elem = lcpElement
-        ? ` (${lcpElement.tag}${lcpElement.url ? " – " + lcpElement.url : ""})`
-        : "";
-      insights.push({ cls: "needs", text: `LCP needs improvement: ${Math.round(timings.lcp)}ms${elem}. Target ≤ 2500ms.` });
-    }
-  }
-  if (timings.inp != null && timings.inp > 200) {
-    insights.push({ cls: "poor", text: `INP is ${Math.round(timings.inp)}ms – interactions feel sluggish. Target ≤ 200ms.` });
-  }
-  if (longTasks.totalMs != null && longTasks.totalMs > 200) {
-    insights.push({ cls: "poor", text: `Main thread blocked ${Math.round(longTasks.totalMs)}ms across ${longTasks.count} long task(s) (max ${Math.round(longTasks.maxMs)}ms).` });
-  }
-  if (timings.cls != null && timings.cls > 0.1) {
-    insights.push({ cls: timings.cls > 0.25 ? "poor" : "needs", text: `Layout instability: CLS = ${timings.cls.toFixed(3)}. Target ≤ 0.1.` });
-  }
-  if (timings.ttfb != null && timings.ttfb > 800) {
-    insights.push({ cls: "needs", text: `Slow server response: TTFB = ${Math.round(timings.ttfb)}ms. Target ≤ 800ms.` });
-  }
-  if (network.transferredBytes != null && network.transferredBytes > 2 * 1024 * 1024) {
-    insights.push({ cls: "poor", text: `Heavy page: ${formatBytes(network.transferredBytes)} transferred. Reduce JS/image size.` });
-  }
-  if (network.requestsTotal != null && network.requestsTotal > 150) {
-    insights.push({ cls: "poor", text: `High request count: ${network.requestsTotal} requests. Fewer requests = faster loads.` });
-  }
-  if (network.byDomain) {
-    const totalBytes = network.byDomain.reduce((s, d) => s + d.bytes, 0);
-    const thirdBytes = network.byDomain.filter(d => d.thirdParty).reduce((s, d) => s + d.bytes, 0);
-    if (totalBytes > 0 && thirdBytes / totalBytes > 0.3) {
-      insights.push({ cls: "needs", text: `Third-party resources: ${Math.round(thirdBytes / totalBytes * 100)}% of bytes (${formatBytes(thirdBytes)}).` });
-    }
-  }
-  if (network.cacheHitRate != null && network.requestsTotal > 5 && network.cacheHitRate < 0.3) {
-    insights.push({ cls: "needs", text: `Low cache hit rate: ${Math.round(network.cacheHitRate * 100)}%. Improve caching headers.` });
-  }
-  if (network.failures && network.failures.length > 0) {
-    insights.push({ cls: "poor", text: `${network.failures.length} failed request(s) detected.` });
-  }
-  if (insights.length === 0) {
-    insights.push({ cls: "good", text: "Page performance looks good! All key metrics are within recommended thresholds." });
-  }
-  return insights;
-}
-
-function buildRunReport(meta, pageMetrics, networkData, traceInfo) {
-  const timings = {
-    ttfb: pageMetrics.ttfb  ?? null,
-    fcp:  pageMetrics.fcp   ?? null,
-    lcp:  pageMetrics.lcp   ?? null,
-    inp:  pageMetrics.inp   ?? null,
-    cls:  pageMetrics.cls   ?? null,
-    dcl:  pageMetrics.dcl   ?? null,
-    load: pageMetrics.load  ?? null,
-  };
-  const longTasks = {
-    count:   pageMetrics.longTaskCount ?? 0,
-    totalMs: pageMetrics.longTaskTotal ?? 0,
-    maxMs:   pageMetrics.longTaskMax   ?? 0,
-  };
-  const network = {
-    requestsTotal:    networkData.requestsTotal    ?? 0,
-    transferredBytes: networkData.transferredBytes ?? 0,
-    cacheHitRate:     networkData.cacheHitRate     ?? null,
-    failures:         networkData.failures         ?? [],
-    byDomain:         networkData.byDomain         ?? [],
-    byType:           pageMetrics.resources?.byType ?? [],
-    slowest:          pageMetrics.resources?.slowest ?? [],
-  };
-  const report = {
-    meta,
-    timings,
-    longTasks,
-    network,
-    resources: pageMetrics.resources ?? {},
-    lcpElement: pageMetrics.lcpElement ?? null,
-    clsSources: pageMetrics.clsSources ?? [],
-    insights: [],
-    trace: traceInfo ?? { captured: false },
-  };
-  report.insights = generateInsights(report);
-  return report;
-}
+import {
+  $,
+  resultsSection,
+  renderReport,
+  escHtml,
+  BUDGET_METRICS,
+  formatBytes,
+  buildRunReport,
+  findPreviousComparable,
+  saveReport,
+  loadHistory,
+  loadRetention,
+  saveRetention,
+  loadBudget,
+  saveBudget,
+  loadFirstPartyDomains,
+  saveFirstPartyDomains,
+  loadFlows,
+  saveFlows,
+} from "./views.js";
 
 // ── DOM refs ───────────────────────────────────────────────────────────────────
 
-const $ = id => document.getElementById(id);
-
 const urlBadge       = $("url-badge");
 const coldToggle     = $("cold-load-toggle");
 const traceToggle    = $("trace-toggle");
+const profileToggle  = $("profile-toggle");
+const coverageToggle = $("coverage-toggle");
+const throttleSelect = $("throttle-select");
+const throttleCustom = $("throttle-custom");
+const runsInput      = $("runs-input");
+const flowSelect     = $("flow-select");
+const btnFlowRecord  = $("btn-flow-record");
+const btnFlowDelete  = $("btn-flow-delete");
+const flowRecorder   = $("flow-recorder");
 const btnStart       = $("btn-start");
 const btnStop        = $("btn-stop");
 const statusMsg      = $("status-msg");
-const resultsSection = $("results");
-const scorecardEl    = $("scorecard");
-const timelineBar    = $("timeline-bar");
-const timelineLabels = $("timeline-labels");
-const insightsList   = $("insights-list");
-const btnExport      = $("btn-export");
 const btnHistory     = $("btn-history");
 const historyPanel   = $("history-panel");
 const btnHistBack    = $("btn-history-back");
 const historyList    = $("history-list");
-const deltaSection   = $("delta-section");
-const scorecardDelta = $("scorecard-delta");
-const traceNotice    = $("trace-notice");
+const budgetPanel    = $("budget-panel");
+const btnBudgets     = $("btn-budgets");
+const btnOpenTab     = $("btn-open-tab");
+const btnCompare     = $("btn-compare");
+const btnImport      = $("btn-import");
+const btnMonitor     = $("btn-monitor");
 
 // ── State ──────────────────────────────────────────────────────────────────────
 
 let activeTabId = null;
 let currentReport = null;
 let currentOrigin = null;
+let batchTimer = null;
+let flows = [];  // flows recorded on currentOrigin
+
+// History is unbounded; the popup only reads the most recent runs
+const RECENT_RUNS = 50;
 
 // ── Init ───────────────────────────────────────────────────────────────────────
 
@@ -174,13 +81,21 @@ async function init() {
     currentOrigin = origin;
     urlBadge.textContent = origin || tab.url;
     urlBadge.title = tab.url;
+    await refreshFlows();
   }
 
-  // Check if a measurement is already running
+  // Check if a measurement or batch is already running
   const status = await sendMessage({ type: "GET_STATUS" });
-  if (status && status.active) {
+  if (status && status.batch) {
+    activeTabId = status.tabId;
+    setRunning(true);
+    if (status.batch.done) await finishBatch();
+    else pollBatch();
+  } else if (status && status.active) {
     setRunning(true);
     setStatus("Measurement in progress…");
+  } else {
+    await checkRecording();
   }
 }
 
@@ -189,6 +104,24 @@ function getOrigin(url) {
   catch (_) { return url; }
 }
 
+// ── Throttling ─────────────────────────────────────────────────────────────────
+
+throttleSelect.addEventListener("change", () => {
+  throttleCustom.classList.toggle("hidden", throttleSelect.value !== "custom");
+});
+
+function getThrottlingChoice() {
+  const profile = throttleSelect.value;
+  if (profile !== "custom") return { profile };
+  return {
+    profile,
+    cpuRate:      parseFloat($("throttle-cpu").value),
+    latencyMs:    parseFloat($("throttle-latency").value),
+    downloadKbps: parseFloat($("throttle-down").value),
+    uploadKbps:   parseFloat($("throttle-up").value),
+  };
+}
+
 // ── Buttons ────────────────────────────────────────────────────────────────────
 
 btnStart.addEventListener("click", async () => {
@@ -199,6 +132,11 @@ btnStart.addEventListener("click", async () => {
     type: "START",
     coldLoad: coldToggle.checked,
     traceEnabled: traceToggle.checked,
+    profileEnabled: profileToggle.checked,
+    coverageEnabled: coverageToggle.checked,
+    throttling: getThrottlingChoice(),
+    runs: parseInt(runsInput.value, 10) || 1,
+    flow: selectedFlow(),
   });
 
   if (!resp || !resp.ok) {
@@ -209,6 +147,11 @@ btnStart.addEventListener("click", async () => {
 
   activeTabId = resp.tabId;
   setRunning(true);
+  if (resp.batch) {
+    setStatus(`${batchLabel(resp.batch)}: run 1 of ${resp.batch.total}…`);
+    pollBatch();
+    return;
+  }
   setStatus(coldToggle.checked ? "Cold load in progress…" : "Measuring… click Stop when done.");
 });
 
@@ -220,6 +163,12 @@ btnStop.addEventListener("click", async () => {
 
   const resp = await sendMessage({ type: "STOP", tabId: activeTabId });
 
+  if (resp && resp.ok && resp.batch) {
+    // The batch finishes its bookkeeping; pollBatch() picks up the results
+    setStatus("Cancelling batch after the current run…");
+    return;
+  }
+
   setRunning(false);
 
   if (!resp || !resp.ok) {
@@ -231,227 +180,246 @@ btnStop.addEventListener("click", async () => {
 
   // Build report
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-  const meta = {
+  const meta = buildMeta(tab, {
+    coldLoad:   coldToggle.checked,
+    ...resp.captured,
+    throttling: resp.throttling ?? null,
+  });
+  const budget = await loadBudget(meta.origin);
+  const report = buildRunReport(meta, resp.pageMetrics ?? {}, resp.networkData ?? {}, resp.traceInfo, budget);
+  await showNewReport(report);
+});
+
+function buildMeta(tab, { coldLoad, traceEnabled = false, profileEnabled = false, coverageEnabled = false, throttling }) {
+  return {
     url:          tab?.url ?? "",
     origin:       getOrigin(tab?.url ?? ""),
     timestamp:    new Date().toISOString(),
     userAgent:    navigator.userAgent,
-    coldLoad:     coldToggle.checked,
-    traceEnabled: traceToggle.checked,
+    coldLoad,
+    traceEnabled,
+    profileEnabled,
+    coverageEnabled,
+    throttling,
+    flow:         null,
   };
+}
 
-  currentOrigin = meta.origin;
-  const report = buildRunReport(meta, resp.pageMetrics ?? {}, resp.networkData ?? {}, resp.traceInfo);
-  currentReport = report;
-
+async function showNewReport(report) {
   // Save to history
   await saveReport(report);
+  await showSavedReport(report);
+}
 
-  // Load previous run for delta
-  const history = await loadHistory(meta.origin);
-  const prevReport = history.length > 1 ? history[1] : null;
-
-  renderReport(report, prevReport);
-});
-
-// ── Render report ──────────────────────────────────────────────────────────────
-
-function renderReport(report, prevReport) {
-  resultsSection.classList.remove("hidden");
+async function showSavedReport(report) {
+  currentOrigin = report.meta.origin;
+  currentReport = report;
 
-  renderScorecard(report, prevReport);
-  renderTimeline(report.timings);
-  renderInsights(report.insights);
-  renderByType(report.network.byType ?? report.resources?.byType ?? []);
-  renderDomains(report.network.byDomain);
-  renderSlowest(report.network.slowest ?? report.resources?.slowest ?? []);
-  renderTraceNotice(report.trace);
+  // Load previous run under the same throttling for delta
+  const history = await loadHistory(report.meta.origin, RECENT_RUNS);
+  const prevReport = findPreviousComparable(history, 0);
 
-  btnExport.onclick = () => exportJSON(report);
+  renderReport(report, prevReport);
 }
 
-// ── Scorecard ──────────────────────────────────────────────────────────────────
-
-const SCORECARD_TILES = [
-  { key: "lcp",  label: "LCP",    unit: "ms",  fmt: v => formatMs(v) },
-  { key: "inp",  label: "INP",    unit: "ms",  fmt: v => formatMs(v) },
-  { key: "cls",  label: "CLS",    unit: "",    fmt: v => (v == null ? "–" : v.toFixed(3)) },
-  { key: "ttfb", label: "TTFB",   unit: "ms",  fmt: v => formatMs(v) },
-  { key: "fcp",  label: "FCP",    unit: "ms",  fmt: v => formatMs(v) },
-  { key: "load", label: "Load",   unit: "ms",  fmt: v => formatMs(v), noRate: true },
-  {
-    key: "requests",
-    label: "Requests", unit: "",
-    fmt: (_, r) => String(r.network.requestsTotal || "–"),
-    noRate: true,
-  },
-  {
-    key: "transferred",
-    label: "Transferred", unit: "",
-    fmt: (_, r) => formatBytes(r.network.transferredBytes),
-    noRate: true,
-  },
-  {
-    key: "longTasks",
-    label: "Long Tasks", unit: "ms",
-    fmt: (_, r) => r.longTasks.totalMs ? `${Math.round(r.longTasks.totalMs)}` : "0",
-    noRate: true,
-  },
-];
-
-function renderScorecard(report, prevReport) {
-  scorecardEl.innerHTML = "";
-  for (const tile of SCORECARD_TILES) {
-    const value = tile.key in report.timings
-      ? report.timings[tile.key]
-      : null;
-    const display = tile.fmt(value, report);
-    const rating = tile.noRate ? "neutral" : rateMetric(tile.key, value);
-
-    let deltaHtml = "";
-    if (prevReport && !tile.noRate && value != null) {
-      const prevVal = prevReport.timings[tile.key];
-      if (prevVal != null) {
-        const diff = value - prevVal;
-        // For CLS, lower is better; for LCP/INP etc. lower is better too
-        const better = diff < 0;
-        const diffStr = (diff > 0 ? "+" : "") + (tile.key === "cls" ? diff.toFixed(3) : Math.round(diff) + " ms");
-        deltaHtml = `<span class="tile-delta ${better ? "better" : "worse"}">${diffStr}</span>`;
+// ── Batch mode ─────────────────────────────────────────────────────────────────
+
+function pollBatch() {
+  clearInterval(batchTimer);
+  batchTimer = setInterval(async () => {
+    const status = await sendMessage({ type: "GET_STATUS" });
+    const batch = status?.batch;
+    if (!batch) {
+      clearInterval(batchTimer);
+      setRunning(false);
+      setStatus("Batch state lost.", true);
+      return;
+    }
+    if (!batch.done) {
+      if (!batch.cancelled) {
+        setStatus(`${batchLabel(batch)}: run ${Math.min(batch.completed + 1, batch.total)} of ${batch.total}…`);
       }
+      return;
     }
+    clearInterval(batchTimer);
+    await finishBatch();
+  }, 1000);
+}
 
-    scorecardEl.insertAdjacentHTML("beforeend", `
-      <div class="tile ${rating}">
-        <div class="tile-label">${tile.label}</div>
-        <div class="tile-value">${display}${tile.unit ? `<span class="tile-unit"> ${tile.unit}</span>` : ""}</div>
-        ${deltaHtml}
-      </div>
-    `);
-  }
+function batchLabel(batch) {
+  return batch.flow ? `Flow "${batch.flow}"` : "Batch";
 }
 
-// ── Timeline ───────────────────────────────────────────────────────────────────
-
-const TIMELINE_MARKERS = [
-  { key: "ttfb", label: "TTFB", color: "#6c63ff" },
-  { key: "fcp",  label: "FCP",  color: "#00bcd4" },
-  { key: "lcp",  label: "LCP",  color: "#ff9800" },
-  { key: "load", label: "Load", color: "#4caf50" },
-];
-
-function renderTimeline(timings) {
-  timelineBar.innerHTML = "";
-  timelineLabels.innerHTML = "";
-
-  const maxVal = Math.max(
-    ...[timings.load, timings.lcp, 100].filter(v => v != null && v > 0)
-  );
-
-  for (const m of TIMELINE_MARKERS) {
-    const val = timings[m.key];
-    if (val == null || val <= 0) continue;
-    const pct = Math.min(100, (val / maxVal) * 100);
-    timelineBar.insertAdjacentHTML("beforeend",
-      `<div class="timeline-marker" style="left:${pct}%;background:${m.color}" title="${m.label}: ${Math.round(val)}ms"></div>`
-    );
-    timelineLabels.insertAdjacentHTML("beforeend",
-      `<span class="timeline-lbl" style="left:${pct}%;color:${m.color}">${m.label}<br>${Math.round(val)}ms</span>`
-    );
+async function finishBatch() {
+  const resp = await sendMessage({ type: "GET_BATCH_RESULT", tabId: activeTabId });
+  setRunning(false);
+
+  if (!resp || !resp.ok) {
+    setStatus(resp?.error ?? "Failed to collect batch results.", true);
+    return;
   }
+  if (!resp.report) {
+    setStatus(resp.error ?? "Batch cancelled before any run completed.", true);
+    return;
+  }
+
+  if (resp.error) setStatus(`Batch stopped early (${resp.completed} run(s) kept): ${resp.error}`, true);
+  else if (resp.cancelled) setStatus(`Batch cancelled – aggregated ${resp.completed} run(s).`);
+  else setStatus("");
+
+  // The service worker built and saved the report
+  await showSavedReport(resp.report);
 }
 
-// ── Insights ───────────────────────────────────────────────────────────────────
+// ── Flows ──────────────────────────────────────────────────────────────────────
 
-function renderInsights(insights) {
-  insightsList.innerHTML = "";
-  for (const ins of insights) {
-    const cls = typeof ins === "object" ? ins.cls : "needs";
-    const text = typeof ins === "object" ? ins.text : ins;
-    insightsList.insertAdjacentHTML("beforeend", `<li class="${cls}">${escHtml(text)}</li>`);
-  }
+async function refreshFlows(selected = "") {
+  flows = currentOrigin ? await loadFlows(currentOrigin) : [];
+  flowSelect.innerHTML = `<option value="">None (interact manually)</option>` + flows
+    .map((f, i) => `<option value="${i}">${escHtml(f.name)} (${f.steps.length} steps)</option>`)
+    .join("");
+  flowSelect.value = flows[selected] ? selected : "";
+  btnFlowDelete.classList.toggle("hidden", flowSelect.value === "");
 }
 
-// ── Tables ─────────────────────────────────────────────────────────────────────
+function selectedFlow() {
+  return flows[flowSelect.value] ?? null;
+}
+
+flowSelect.addEventListener("change", () => {
+  btnFlowDelete.classList.toggle("hidden", flowSelect.value === "");
+});
+
+btnFlowDelete.addEventListener("click", async () => {
+  const flow = selectedFlow();
+  if (!flow) return;
+  await saveFlows(currentOrigin, flows.filter(f => f !== flow));
+  await refreshFlows();
+  setStatus(`Deleted flow "${flow.name}".`);
+});
 
-function renderByType(byType) {
-  const tbody = document.querySelector("#tbl-by-type tbody");
-  tbody.innerHTML = "";
-  if (!byType || byType.length === 0) {
-    tbody.insertAdjacentHTML("beforeend", `<tr><td colspan="3" style="color:var(--text2)">No data</td></tr>`);
+// The recorder lives in the page, so it keeps going while the popup is closed
+// for the user to interact; reopening the popup offers to save it.
+btnFlowRecord.addEventListener("click", async () => {
+  const resp = await sendMessage({ type: "RECORD_FLOW_START" });
+  if (!resp || !resp.ok) {
+    setStatus(resp?.error ?? "Failed to start recording.", true);
     return;
   }
-  const sorted = [...byType].sort((a, b) => b.bytes - a.bytes);
-  for (const row of sorted) {
-    tbody.insertAdjacentHTML("beforeend",
-      `<tr><td>${escHtml(row.type)}</td><td>${row.requests}</td><td>${formatBytes(row.bytes)}</td></tr>`
-    );
-  }
+  showRecorder(0);
+});
+
+async function checkRecording() {
+  const resp = await sendMessage({ type: "RECORD_FLOW_STATUS" });
+  if (resp && resp.ok && resp.recording) showRecorder(resp.steps);
 }
 
-function renderDomains(byDomain) {
-  const tbody = document.querySelector("#tbl-domains tbody");
-  tbody.innerHTML = "";
-  if (!byDomain || byDomain.length === 0) {
-    tbody.insertAdjacentHTML("beforeend", `<tr><td colspan="4" style="color:var(--text2)">No data</td></tr>`);
-    return;
-  }
-  const sorted = [...byDomain].sort((a, b) => b.bytes - a.bytes).slice(0, 15);
-  for (const row of sorted) {
-    tbody.insertAdjacentHTML("beforeend",
-      `<tr>
-        <td title="${escHtml(row.domain)}">${escHtml(row.domain)}</td>
-        <td>${row.requests}</td>
-        <td>${formatBytes(row.bytes)}</td>
-        <td>${row.thirdParty ? '<span class="tag-3p">3P</span>' : ""}</td>
-      </tr>`
-    );
-  }
+function showRecorder(steps) {
+  flowRecorder.classList.remove("hidden");
+  btnStart.disabled = true;
+  btnFlowRecord.disabled = true;
+  $("flow-rec-status").textContent = `● Recording: ${steps} steps`;
+  setStatus("Use the page, then reopen this popup to save the flow.");
+}
+
+function hideRecorder() {
+  flowRecorder.classList.add("hidden");
+  btnStart.disabled = false;
+  btnFlowRecord.disabled = false;
 }
 
-function renderSlowest(slowest) {
-  const tbody = document.querySelector("#tbl-slowest tbody");
-  tbody.innerHTML = "";
-  if (!slowest || slowest.length === 0) {
-    tbody.insertAdjacentHTML("beforeend", `<tr><td colspan="4" style="color:var(--text2)">No data</td></tr>`);
+$("btn-flow-save").addEventListener("click", async () => {
+  const name = $("flow-name").value.trim();
+  if (!name) { setStatus("Name the flow first.", true); return; }
+  const resp = await sendMessage({ type: "RECORD_FLOW_STOP" });
+  hideRecorder();
+  if (!resp || !resp.ok) {
+    setStatus(resp?.error ?? "Recording lost – did the page navigate?", true);
     return;
   }
-  for (const row of slowest) {
-    const shortUrl = row.url ? row.url.split("/").pop().slice(0, 40) || row.url.slice(-40) : "–";
-    tbody.insertAdjacentHTML("beforeend",
-      `<tr>
-        <td title="${escHtml(row.url)}">${escHtml(shortUrl)}</td>
-        <td>${escHtml(row.type ?? "–")}</td>
-        <td>${formatMs(row.durationMs)} ms</td>
-        <td>${formatBytes(row.transferBytes)}</td>
-      </tr>`
-    );
+  if (resp.flow.steps.length === 0) {
+    setStatus("Nothing was recorded.", true);
+    return;
   }
-}
+  // Saving under an existing name replaces that flow
+  const updated = [...flows.filter(f => f.name !== name), {
+    name,
+    url: resp.flow.url,
+    createdAt: new Date().toISOString(),
+    steps: resp.flow.steps,
+  }];
+  await saveFlows(currentOrigin, updated);
+  await refreshFlows(String(updated.length - 1));
+  setStatus(`Saved flow "${name}" (${resp.flow.steps.length} steps).`);
+});
+
+$("btn-flow-discard").addEventListener("click", async () => {
+  await sendMessage({ type: "RECORD_FLOW_STOP" });
+  hideRecorder();
+  setStatus("");
+});
 
-// ── Trace notice ───────────────────────────────────────────────────────────────
+// ── Budget editor ──────────────────────────────────────────────────────────────
 
-function renderTraceNotice(trace) {
-  if (!trace || !trace.captured) {
-    traceNotice.classList.add("hidden");
-    return;
+btnBudgets.addEventListener("click", async () => {
+  if (!currentOrigin) { setStatus("No origin detected.", true); return; }
+  resultsSection.classList.add("hidden");
+  historyPanel.classList.add("hidden");
+  budgetPanel.classList.remove("hidden");
+  $("budget-origin").textContent = currentOrigin;
+
+  $("first-party-domains").value = (await loadFirstPartyDomains(currentOrigin)).join("\n");
+
+  const retention = await loadRetention();
+  $("retention-days").value = retention.maxAgeDays;
+  $("retention-runs").value = retention.maxRunsPerOrigin;
+
+  const limits = await loadBudget(currentOrigin) ?? {};
+  const form = $("budget-form");
+  form.innerHTML = "";
+  for (const m of BUDGET_METRICS) {
+    form.insertAdjacentHTML("beforeend",
+      `<label class="budget-field">
+        <span>${m.label}</span>
+        <input type="number" min="0" step="any" data-key="${m.key}" value="${limits[m.key] ?? ""}" placeholder="–" />
+        <small>${m.unit}</small>
+      </label>`
+    );
   }
-  traceNotice.classList.remove("hidden");
-  traceNotice.innerHTML = `📊 Trace captured (${formatBytes(trace.sizeBytes)}). <button id="btn-dl-trace" class="btn btn-secondary btn-sm">⬇ Download Trace</button>`;
-  document.getElementById("btn-dl-trace").onclick = () => {
-    if (trace.chunks) {
-      const blob = new Blob(
-        [`{"traceEvents":[${trace.chunks.join(",")}]}`],
-        { type: "application/json" }
-      );
-      downloadBlob(blob, "trace.json");
-    }
-  };
+});
+
+$("btn-budget-save").addEventListener("click", async () => {
+  const limits = {};
+  for (const input of $("budget-form").querySelectorAll("input")) {
+    const v = parseFloat(input.value);
+    if (!isNaN(v) && v >= 0) limits[input.dataset.key] = v;
+  }
+  await saveBudget(currentOrigin, Object.keys(limits).length ? limits : null);
+  const domains = $("first-party-domains").value
+    .split(/[\s,]+/)
+    .map(d => d.trim().toLowerCase().replace(/^\*?\./, ""))
+    .filter(Boolean);
+  await saveFirstPartyDomains(currentOrigin, [...new Set(domains)]);
+  await saveRetention({
+    maxAgeDays:       Math.max(0, parseInt($("retention-days").value, 10) || 0),
+    maxRunsPerOrigin: Math.max(0, parseInt($("retention-runs").value, 10) || 0),
+  });
+  closeBudgetPanel();
+  setStatus("Settings saved – they apply to the next run.");
+});
+
+$("btn-budget-close").addEventListener("click", closeBudgetPanel);
+
+function closeBudgetPanel() {
+  budgetPanel.classList.add("hidden");
+  if (currentReport) resultsSection.classList.remove("hidden");
 }
 
 // ── History ────────────────────────────────────────────────────────────────────
 
 btnHistory.addEventListener("click", async () => {
   resultsSection.classList.add("hidden");
+  budgetPanel.classList.add("hidden");
   historyPanel.classList.remove("hidden");
   renderHistory();
 });
@@ -467,7 +435,7 @@ async function renderHistory() {
     historyList.textContent = "No origin detected.";
     return;
   }
-  const history = await loadHistory(currentOrigin);
+  const history = await loadHistory(currentOrigin, RECENT_RUNS);
   if (history.length === 0) {
     historyList.textContent = "No saved runs for this origin.";
     return;
@@ -477,19 +445,38 @@ async function renderHistory() {
     const lcp = r.timings?.lcp != null ? `LCP ${Math.round(r.timings.lcp)}ms` : "";
     const cls = r.timings?.cls != null ? `CLS ${r.timings.cls.toFixed(3)}` : "";
     const bytes = r.network?.transferredBytes != null ? formatBytes(r.network.transferredBytes) : "";
+    const throttle = r.meta.throttling
+      ? `<span class="tag-throttle">${escHtml(r.meta.throttling.label)}</span>`
+      : "";
+    const batch = r.batch ? `<span class="tag-throttle">median of ${r.batch.count}</span>` : "";
+    const flow = r.meta.flow ? `<span class="tag-throttle">flow: ${escHtml(r.meta.flow.name)}</span>` : "";
+    const imported = r.imported ? `<span class="tag-throttle" title="${escHtml(r.imported.fileName)}">imported</span>` : "";
+    const scheduled = r.meta.scheduled ? `<span class="tag-throttle">scheduled</span>` : "";
+    const budget = r.budget
+      ? (r.budget.passed
+          ? `<span class="tag-budget pass">✓ budget</span>`
+          : `<span class="tag-budget fail">✗ ${r.budget.results.filter(b => !b.pass).length} over budget</span>`)
+      : "";
     historyList.insertAdjacentHTML("beforeend", `
       <div class="history-item" data-idx="${i}">
-        <div class="hist-time">${new Date(r.meta.timestamp).toLocaleString()}</div>
+        <button class="btn btn-secondary btn-sm hist-open" title="Open in a tab">↗</button>
+        <div class="hist-time">${new Date(r.meta.timestamp).toLocaleString()}${throttle}${flow}${batch}${imported}${scheduled}${budget}</div>
         <div>${[lcp, cls, bytes].filter(Boolean).join(" · ")}</div>
       </div>
     `);
   }
+  historyList.querySelectorAll(".hist-open").forEach(btn => {
+    btn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      openReportTab(history[parseInt(btn.parentElement.dataset.idx, 10)]);
+    });
+  });
   historyList.querySelectorAll(".history-item").forEach(el => {
     el.addEventListener("click", async () => {
       const idx = parseInt(el.dataset.idx, 10);
-      const history = await loadHistory(currentOrigin);
+      const history = await loadHistory(currentOrigin, RECENT_RUNS);
       const r = history[idx];
-      const prev = history[idx + 1] ?? null;
+      const prev = findPreviousComparable(history, idx);
       currentReport = r;
       historyPanel.classList.add("hidden");
       renderReport(r, prev);
@@ -497,55 +484,32 @@ async function renderHistory() {
   });
 }
 
-// ── Storage helpers ─────────────────────────────────────────────────────────────
+// ── Full-page report and comparison ────────────────────────────────────────────
 
-const MAX_HISTORY = 10;
-
-function saveReport(report) {
-  const origin = report.meta.origin;
-  const key = `history:${origin}`;
-  return new Promise((resolve) => {
-    chrome.storage.local.get([key], (result) => {
-      const history = result[key] ?? [];
-      // Strip trace chunks to save space
-      const toSave = { ...report, trace: { captured: report.trace?.captured, sizeBytes: report.trace?.sizeBytes } };
-      history.unshift(toSave);
-      if (history.length > MAX_HISTORY) history.length = MAX_HISTORY;
-      chrome.storage.local.set({ [key]: history }, resolve);
-    });
-  });
+// Reports are looked up in history by origin and timestamp, so only saved
+// runs can be opened; fresh-run downloads (HAR, trace) stay in the popup.
+function openReportTab(report) {
+  const params = new URLSearchParams({ origin: report.meta.origin, ts: report.meta.timestamp });
+  chrome.tabs.create({ url: chrome.runtime.getURL(`report.html?${params}`) });
 }
 
-function loadHistory(origin) {
-  const key = `history:${origin}`;
-  return new Promise((resolve) => {
-    chrome.storage.local.get([key], (result) => resolve(result[key] ?? []));
-  });
-}
+btnOpenTab.addEventListener("click", () => {
+  if (currentReport) openReportTab(currentReport);
+});
 
-// ── Export ─────────────────────────────────────────────────────────────────────
+// The file picker would close the popup, so imports happen in the viewer
+btnImport.addEventListener("click", () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL("report.html") });
+});
 
-function exportJSON(report) {
-  const exportable = { ...report };
-  // Omit large trace chunks from export if they're separate
-  if (exportable.trace && exportable.trace.chunks) {
-    exportable.trace = { ...exportable.trace };
-    delete exportable.trace.chunks;
-    exportable.trace.note = "Trace chunks omitted from JSON export; use Download Trace button.";
-  }
-  const blob = new Blob([JSON.stringify(exportable, null, 2)], { type: "application/json" });
-  const ts = new Date().toISOString().replace(/[:.]/g, "-").slice(0, 19);
-  downloadBlob(blob, `perf-report-${ts}.json`);
-}
+btnCompare.addEventListener("click", () => {
+  const params = currentOrigin ? `?${new URLSearchParams({ origin: currentOrigin })}` : "";
+  chrome.tabs.create({ url: chrome.runtime.getURL(`compare.html${params}`) });
+});
 
-function downloadBlob(blob, filename) {
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = filename;
-  a.click();
-  setTimeout(() => URL.revokeObjectURL(url), 1000);
-}
+btnMonitor.addEventListener("click", () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL("monitor.html") });
+});
 
 // ── Utilities ──────────────────────────────────────────────────────────────────
 
@@ -563,6 +527,13 @@ function setRunning(running) {
   btnStop.disabled  = !running;
   coldToggle.disabled = running;
   traceToggle.disabled = running;
+  profileToggle.disabled = running;
+  coverageToggle.disabled = running;
+  throttleSelect.disabled = running;
+  for (const input of throttleCustom.querySelectorAll("input")) input.disabled = running;
+  runsInput.disabled = running;
+  flowSelect.disabled = running;
+  btnFlowRecord.disabled = running;
 }
 
 function setStatus(msg, isError = false) {
@@ -570,15 +541,6 @@ function setStatus(msg, isError = false) {
   statusMsg.className = "status-msg" + (isError ? " error" : "");
 }
 
-function escHtml(str) {
-  if (!str) return "";
-  return String(str)
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;");
-}
-
 // ── Bootstrap ──────────────────────────────────────────────────────────────────
 
 init().catch(e => setStatus(`Init error: ${e.message}`, true));
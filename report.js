@@ -1,6 +1,7 @@
 /**
  * report.js – Aggregation utilities, thresholds, and insights engine.
- * Used by both the service worker (for network data) and popup (for rendering).
+ * Used by the service worker (to build and store runs) and, through views.js,
+ * by the extension pages.
  */
 
 // ─── Thresholds ───────────────────────────────────────────────────────────────
@@ -14,25 +15,172 @@ export const THRESHOLDS = {
 };
 
 /**
- * Return "good" | "needs-improvement" | "poor" for a given metric value.
+ * Return "good" | "needs" | "poor" for a given metric value, or "neutral"
+ * without a threshold or value. The ratings double as the views' CSS classes.
  * @param {string} metric
  * @param {number} value
- * @returns {"good"|"needs-improvement"|"poor"}
+ * @returns {"good"|"needs"|"poor"|"neutral"}
  */
 export function rateMetric(metric, value) {
   const t = THRESHOLDS[metric];
-  if (!t || value == null || isNaN(value)) return "unknown";
+  if (!t || value == null || isNaN(value)) return "neutral";
   if (value <= t.good) return "good";
-  if (value <= t.needs) return "needs-improvement";
+  if (value <= t.needs) return "needs";
   return "poor";
 }
 
+/** Display names for trace-analysis main-thread categories. */
+export const MAIN_THREAD_LABELS = {
+  scripting:      "Scripting",
+  styleLayout:    "Style & Layout",
+  paintComposite: "Paint & Composite",
+  parsing:        "Parsing",
+  gc:             "Garbage collection",
+  other:          "Other",
+};
+
+/** The four LCP sub-parts, in load order. */
+export const LCP_SUBPARTS = [
+  { key: "ttfb",         label: "TTFB",
+    advice: "Speed up the server response or cache the HTML closer to users." },
+  { key: "loadDelay",    label: "resource load delay",
+    advice: "Reference the resource directly in the HTML or preload it with fetchpriority=\"high\"." },
+  { key: "loadDuration", label: "resource load duration",
+    advice: "Shrink the resource (modern formats, responsive sizes) or serve it from a CDN." },
+  { key: "renderDelay",  label: "element render delay",
+    advice: "Reduce render-blocking CSS/JS and long tasks before the element paints." },
+];
+
+/**
+ * Return the LCP sub-part that takes the most time.
+ * @param {object|null} breakdown  – RunReport.lcpBreakdown
+ * @returns {{ key: string, label: string, advice: string, ms: number }|null}
+ */
+export function dominantLcpSubpart(breakdown) {
+  if (!breakdown) return null;
+  let best = null;
+  for (const part of LCP_SUBPARTS) {
+    const ms = breakdown[part.key];
+    if (ms != null && (!best || ms > best.ms)) best = { ...part, ms };
+  }
+  return best;
+}
+
+const INTERACTION_PHASES = [
+  { key: "inputDelay",        label: "input delay",
+    advice: "The main thread was busy when the user interacted; break up long tasks that run at that time." },
+  { key: "processingTime",    label: "processing time",
+    advice: "Event handlers are too slow; yield to the main thread or defer non-essential work." },
+  { key: "presentationDelay", label: "presentation delay",
+    advice: "Rendering the next frame is expensive; reduce DOM size and style/layout work after the handler." },
+];
+
+/**
+ * Return the phase that contributes most to an interaction's duration.
+ * @param {object|null} interaction  – entry of RunReport.interactions
+ * @returns {{ key: string, label: string, advice: string, ms: number }|null}
+ */
+export function dominantInteractionPhase(interaction) {
+  if (!interaction) return null;
+  let best = null;
+  for (const phase of INTERACTION_PHASES) {
+    const ms = interaction[phase.key];
+    if (ms != null && (!best || ms > best.ms)) best = { ...phase, ms };
+  }
+  return best;
+}
+
+/**
+ * Readable name for a Long Animation Frame script attribution.
+ * @param {{ sourceURL?: string, functionName?: string, invoker?: string }} s
+ * @returns {string}
+ */
+export function scriptLabel(s) {
+  const file = s.sourceURL ? s.sourceURL.split("/").pop() || s.sourceURL : null;
+  const fn = s.functionName ? `${s.functionName}()` : null;
+  return [file, fn].filter(Boolean).join(" ") || s.invoker || "(unknown script)";
+}
+
+/**
+ * Short label for an SPA route: path, query and hash without the origin.
+ * @param {string} url
+ * @returns {string}
+ */
+export function routeLabel(url) {
+  try {
+    const u = new URL(url);
+    return u.pathname + u.search + u.hash;
+  } catch (_) {
+    return url;
+  }
+}
+
+/**
+ * Last path segment of a URL, for compact labels.
+ * @param {string} url
+ * @returns {string}
+ */
+export function fileOf(url) {
+  return url.split("?")[0].split("/").pop() || url;
+}
+
+/**
+ * Host of a URL, or the URL itself when it does not parse.
+ * @param {string} url
+ * @returns {string}
+ */
+export function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (_) {
+    return url;
+  }
+}
+
+/**
+ * Runtime counters sampled from the CDP Performance domain during a session.
+ * `growth` marks the counters that should level off once the page has loaded:
+ * the latest sample must reach `factor` × the post-load baseline and exceed it
+ * by `minIncrease` to count as runaway growth.
+ */
+export const RUNTIME_METRICS = [
+  { key: "heapUsed",  label: "JS heap",         unit: "bytes", growth: { factor: 2, minIncrease: 10 * 1024 * 1024 } },
+  { key: "nodes",     label: "DOM nodes",       unit: "count", growth: { factor: 2, minIncrease: 500 } },
+  { key: "documents", label: "Documents",       unit: "count", growth: { factor: 1, minIncrease: 5 } },
+  { key: "listeners", label: "Event listeners", unit: "count", growth: { factor: 2, minIncrease: 500 } },
+  { key: "layouts",   label: "Layouts",         unit: "count" },
+  { key: "recalcs",   label: "Style recalcs",   unit: "count" },
+  { key: "scriptMs",  label: "Script time",     unit: "ms" },
+  { key: "taskMs",    label: "Task time",       unit: "ms" },
+];
+
+/**
+ * Find runtime counters that kept growing after load. The baseline is the
+ * first sample at or after the load event (the first sample when the page
+ * never loaded during the session).
+ * @param {object[]} samples  – report.runtimeMetrics
+ * @param {number|null} loadMs
+ * @returns {{ key: string, label: string, unit: string, from: number, to: number }[]}
+ */
+export function runtimeGrowth(samples, loadMs) {
+  if (!samples || samples.length < 3) return [];
+  const base = samples.find(s => loadMs == null || s.t >= loadMs) ?? samples[0];
+  const last = samples[samples.length - 1];
+  if (base === last) return [];
+  return RUNTIME_METRICS
+    .filter(m => m.growth && base[m.key] != null && last[m.key] != null)
+    .filter(m => last[m.key] >= base[m.key] * m.growth.factor &&
+      last[m.key] - base[m.key] >= m.growth.minIncrease)
+    .map(m => ({ key: m.key, label: m.label, unit: m.unit, from: base[m.key], to: last[m.key] }));
+}
+
 // ─── Insight generation ───────────────────────────────────────────────────────
 
 /**
- * Generate human-readable insight strings from a RunReport.
+ * Generate human-readable insights from a RunReport, each rated with the
+ * same "good" | "needs" | "poor" classes the views colour them by.
  * @param {object} report  – partial or complete RunReport
- * @returns {string[]}
+ * @returns {{ cls: string, text: string }[]}
  */
 export function generateInsights(report) {
   const insights = [];
@@ -44,52 +192,125 @@ export function generateInsights(report) {
       const elem = lcpElement
         ? ` (${lcpElement.tag}${lcpElement.url ? " – " + lcpElement.url : ""})`
         : "";
-      insights.push(`LCP is very slow at ${Math.round(timings.lcp)}ms${elem}. Target ≤ 2500ms.`);
+      insights.push({ cls: "poor", text: `LCP is very slow at ${Math.round(timings.lcp)}ms${elem}. Target ≤ 2500ms.` });
     } else if (timings.lcp > 2500) {
       const elem = lcpElement
         ? ` (${lcpElement.tag}${lcpElement.url ? " – " + lcpElement.url : ""})`
         : "";
-      insights.push(`LCP needs improvement: ${Math.round(timings.lcp)}ms${elem}. Target ≤ 2500ms.`);
+      insights.push({ cls: "needs", text: `LCP needs improvement: ${Math.round(timings.lcp)}ms${elem}. Target ≤ 2500ms.` });
+    }
+  }
+  const lcpPart = dominantLcpSubpart(report.lcpBreakdown);
+  if (timings.lcp != null && timings.lcp > 2500 && lcpPart) {
+    const what = lcpElement?.tag === "IMG" ? "LCP image" : "LCP element";
+    const summary = {
+      ttfb:         "waits on the server",
+      loadDelay:    "discovered late",
+      loadDuration: "slow to download",
+      renderDelay:  "rendered late",
+    }[lcpPart.key];
+    insights.push({
+      cls: timings.lcp > 4000 ? "poor" : "needs",
+      text: `${what} ${summary}: ${(lcpPart.ms / 1000).toFixed(1)}s ${lcpPart.label}. ${lcpPart.advice}`,
+    });
+  }
+
+  // Critical request chains: resources discovered late through other requests
+  const chains = report.criticalChains ?? [];
+  const lcpChain = chains.find(c => c.kind === "lcp");
+  if (lcpChain && lcpChain.depth >= 3) {
+    const target = lcpChain.steps[lcpChain.steps.length - 1];
+    insights.push({
+      cls: "needs",
+      text: `LCP resource ${fileOf(target.url)} is discovered through a chain of ${lcpChain.depth} requests (${lcpChain.steps.map(s => fileOf(s.url)).join(" → ")}) and only starts at ${Math.round(target.startMs)}ms. Preload it, or reference it from the HTML, to start it earlier.`,
+    });
+  }
+  const lateFonts = chains.filter(c => c.kind === "font");
+  if (lateFonts.length > 0) {
+    const latest = lateFonts[0].steps[lateFonts[0].steps.length - 1];
+    insights.push({
+      cls: "needs",
+      text: `${lateFonts.length} web font(s) finished after FCP, the last (${fileOf(latest.url)}) at ${Math.round(latest.endMs)}ms via ${lateFonts[0].steps.map(s => fileOf(s.url)).join(" → ")}. Preload key fonts or inline the @font-face CSS.`,
+    });
+  }
+
+  // Render-blocking resources, per type
+  if (report.renderBlocking) {
+    for (const [type, { count, fcpDelayMs }] of Object.entries(report.renderBlocking.byType)) {
+      if (fcpDelayMs < 100) continue;
+      const noun = type === "css" ? "stylesheet" : type === "script" ? "script" : `${type} resource`;
+      insights.push({
+        cls: "needs",
+        text: `${count} render-blocking ${noun}${count === 1 ? "" : "s"} delayed FCP by ~${fcpDelayMs}ms. Inline critical CSS, and load scripts with async or defer.`,
+      });
     }
   }
 
   // INP / Long tasks
   if (timings.inp != null && timings.inp > 200) {
-    insights.push(
-      `INP is ${Math.round(timings.inp)}ms – user interactions may feel sluggish. Target ≤ 200ms.`
-    );
+    insights.push({
+      cls: "poor",
+      text: `INP is ${Math.round(timings.inp)}ms – user interactions may feel sluggish. Target ≤ 200ms.`,
+    });
+  }
+  const inpPhase = dominantInteractionPhase(report.inpInteraction);
+  if (timings.inp != null && timings.inp > 200 && inpPhase) {
+    const i = report.inpInteraction;
+    const on = `${i.type}${i.target ? ` on ${i.target}` : ""}`;
+    insights.push({
+      cls: "poor",
+      text: `INP interaction (${on}) is dominated by ${inpPhase.label}: ${Math.round(inpPhase.ms)}ms of ${Math.round(i.duration)}ms. ${inpPhase.advice}`,
+    });
   }
   if (longTasks.totalMs != null && longTasks.totalMs > 200) {
-    insights.push(
-      `Main thread blocked for ${Math.round(longTasks.totalMs)}ms across ${longTasks.count} long task(s) (max ${Math.round(longTasks.maxMs)}ms). This hurts responsiveness.`
-    );
+    insights.push({
+      cls: "poor",
+      text: `Main thread blocked for ${Math.round(longTasks.totalMs)}ms across ${longTasks.count} long task(s) (max ${Math.round(longTasks.maxMs)}ms). This hurts responsiveness.`,
+    });
+  }
+
+  // Long animation frames: the script that blocks the most
+  const topLoafScript = report.longAnimationFrames?.topScripts?.[0];
+  if (topLoafScript && topLoafScript.totalMs > 100) {
+    insights.push({
+      cls: "needs",
+      text: `${scriptLabel(topLoafScript)} ran for ${Math.round(topLoafScript.totalMs)}ms across ${topLoafScript.frames} long animation frame(s)${topLoafScript.invoker ? ` (invoked by ${topLoafScript.invoker})` : ""}.`,
+    });
   }
 
   // CLS
   if (timings.cls != null && timings.cls > 0.1) {
     const severity = timings.cls > 0.25 ? "poor" : "needs improvement";
-    insights.push(
-      `Layout instability detected: CLS = ${timings.cls.toFixed(3)} (${severity}). Target ≤ 0.1.`
-    );
+    const win = report.layoutShifts?.worstWindow;
+    const where = win
+      ? ` Worst session window: ${win.shiftCount} shift(s) between ${Math.round(win.start)}ms and ${Math.round(win.end)}ms.`
+      : "";
+    insights.push({
+      cls: timings.cls > 0.25 ? "poor" : "needs",
+      text: `Layout instability detected: CLS = ${timings.cls.toFixed(3)} (${severity}). Target ≤ 0.1.${where}`,
+    });
   }
 
   // TTFB
   if (timings.ttfb != null && timings.ttfb > 800) {
-    insights.push(
-      `Server response is slow: TTFB = ${Math.round(timings.ttfb)}ms. Consider server-side improvements. Target ≤ 800ms.`
-    );
+    insights.push({
+      cls: "needs",
+      text: `Server response is slow: TTFB = ${Math.round(timings.ttfb)}ms. Consider server-side improvements. Target ≤ 800ms.`,
+    });
   }
 
   // Network weight
   if (network.transferredBytes != null && network.transferredBytes > 2 * 1024 * 1024) {
-    insights.push(
-      `Heavy page: ${formatBytes(network.transferredBytes)} transferred. Consider reducing JS/image size.`
-    );
+    insights.push({
+      cls: "poor",
+      text: `Heavy page: ${formatBytes(network.transferredBytes)} transferred. Consider reducing JS/image size.`,
+    });
   }
   if (network.requestsTotal != null && network.requestsTotal > 150) {
-    insights.push(
-      `High request count: ${network.requestsTotal} requests. Reducing requests improves load time.`
-    );
+    insights.push({
+      cls: "poor",
+      text: `High request count: ${network.requestsTotal} requests. Reducing requests improves load time.`,
+    });
   }
 
   // 3rd-party impact
@@ -99,30 +320,162 @@ export function generateInsights(report) {
       .filter(d => d.thirdParty)
       .reduce((s, d) => s + d.bytes, 0);
     if (totalBytes > 0 && thirdBytes / totalBytes > 0.3) {
-      insights.push(
-        `Third-party resources account for ${Math.round((thirdBytes / totalBytes) * 100)}% of transferred bytes (${formatBytes(thirdBytes)}). Review third-party scripts.`
-      );
+      insights.push({
+        cls: "needs",
+        text: `Third-party resources account for ${Math.round((thirdBytes / totalBytes) * 100)}% of transferred bytes (${formatBytes(thirdBytes)}). Review third-party scripts.`,
+      });
     }
   }
 
+  // Third-party entities: the most expensive vendor on the main thread
+  const topEntity = (network.byEntity ?? [])
+    .filter(e => !e.firstParty && e.mainThreadMs != null)
+    .sort((a, b) => b.mainThreadMs - a.mainThreadMs)[0];
+  if (topEntity && topEntity.mainThreadMs > 250) {
+    insights.push({
+      cls: "needs",
+      text: `${topEntity.name} (${topEntity.category}) used ${Math.round(topEntity.mainThreadMs)}ms of main-thread time and ${formatBytes(topEntity.bytes)} across ${topEntity.requests} request(s).`,
+    });
+  }
+
   // Cache
   if (
     network.cacheHitRate != null &&
     network.requestsTotal > 5 &&
     network.cacheHitRate < 0.3
   ) {
-    insights.push(
-      `Cache hit rate is low (${Math.round(network.cacheHitRate * 100)}%). Improve caching headers on static assets.`
-    );
+    insights.push({
+      cls: "needs",
+      text: `Cache hit rate is low (${Math.round(network.cacheHitRate * 100)}%). Improve caching headers on static assets.`,
+    });
   }
 
   // Failed requests
   if (network.failures && network.failures.length > 0) {
-    insights.push(
-      `${network.failures.length} failed network request(s) detected. Check the Network tab for details.`
-    );
+    insights.push({
+      cls: "poor",
+      text: `${network.failures.length} failed network request(s) detected. Check the Network tab for details.`,
+    });
+  }
+
+  // Request queuing (waterfall): requests held back before reaching the network
+  const queued = (network.requests ?? []).filter(r => r.phases?.blocked > 100);
+  if (queued.length >= 5) {
+    const worst = Math.max(...queued.map(r => r.phases.blocked));
+    insights.push({
+      cls: "needs",
+      text: `${queued.length} requests were queued for over 100ms before being sent (worst ${Math.round(worst)}ms). Check for HTTP/1.1 connection limits or low-priority requests held back by the browser.`,
+    });
+  }
+
+  // Code coverage: large amounts of shipped but unexecuted code
+  for (const [type, label] of [["js", "JavaScript"], ["css", "CSS"]]) {
+    const totals = report.coverage?.[type];
+    if (!totals || totals.totalBytes === 0) continue;
+    const share = totals.unusedBytes / totals.totalBytes;
+    if (totals.unusedBytes >= 50 * 1024 && share >= 0.5) {
+      // Imported files can have totals without the per-file list
+      const worst = report.coverage.files.find(f => f.type === type);
+      const largest = worst ? ` Largest: ${fileOf(worst.url)} (${formatBytes(worst.unusedBytes)} unused).` : "";
+      insights.push({
+        cls: "needs",
+        text: `${Math.round(share * 100)}% of ${label} went unused during the measurement (${formatBytes(totals.unusedBytes)} of ${formatBytes(totals.totalBytes)}).${largest} Split or defer code that isn't needed up front.`,
+      });
+    }
+  }
+
+  // CPU profile: a single hot function
+  const hottest = report.cpuProfile?.functions
+    ?.reduce((best, fn) => (!best || fn.selfMs > best.selfMs ? fn : best), null);
+  if (hottest && hottest.selfMs >= 100) {
+    const where = hottest.url ? ` (${fileOf(hottest.url)}:${hottest.line})` : "";
+    insights.push({
+      cls: "needs",
+      text: `Hottest JavaScript function: ${hottest.functionName}${where} with ${Math.round(hottest.selfMs)}ms of self time in the CPU profile. Optimise or defer it.`,
+    });
+  }
+
+  // Runtime metrics: counters that keep climbing after load suggest a leak
+  const growth = runtimeGrowth(report.runtimeMetrics, timings.load);
+  if (growth.length > 0) {
+    const list = growth
+      .map(g => `${g.label} ${formatRuntimeValue(g.unit, g.from)} → ${formatRuntimeValue(g.unit, g.to)}`)
+      .join(", ");
+    insights.push({
+      cls: "poor",
+      text: `Runaway growth after load: ${list}. Look for DOM nodes, listeners, iframes or objects that are added repeatedly and never released.`,
+    });
+  }
+
+  // Main-thread breakdown (trace analysis)
+  if (report.mainThread && report.mainThread.totalMs > 500) {
+    const { totalMs, categories, topScripts = [] } = report.mainThread;
+    const [cat, ms] = Object.entries(categories)
+      .filter(([c]) => c !== "other")
+      .sort((a, b) => b[1] - a[1])[0] ?? [];
+    if (cat && ms / totalMs >= 0.5) {
+      const top = cat === "scripting" && topScripts[0]
+        ? ` Top script: ${topScripts[0].url} (${Math.round(topScripts[0].durationMs)}ms).`
+        : "";
+      insights.push({
+        cls: "needs",
+        text: `${MAIN_THREAD_LABELS[cat]} dominates the main thread: ${Math.round(ms)}ms of ${Math.round(totalMs)}ms (${Math.round((ms / totalMs) * 100)}%).${top}`,
+      });
+    }
+  }
+
+  // Child frames: iframes that carry a large share of the page's cost
+  const totalFrameBytes = (report.frames ?? []).reduce((s, f) => s + f.transferredBytes, 0);
+  for (const f of (report.frames ?? []).filter(f => !f.main)) {
+    const issues = [];
+    if (totalFrameBytes > 0 && f.transferredBytes / totalFrameBytes >= 0.25) {
+      issues.push(`${Math.round((f.transferredBytes / totalFrameBytes) * 100)}% of transferred bytes`);
+    }
+    if (f.longTasks && f.longTasks.totalMs > 200) issues.push(`${Math.round(f.longTasks.totalMs)}ms of long tasks`);
+    if (f.cls != null && f.cls > 0.1) issues.push(`CLS ${f.cls.toFixed(3)} inside the frame`);
+    if (issues.length > 0) {
+      insights.push({ cls: "needs", text: `Iframe ${f.url ? hostOf(f.url) : "(unknown)"}${f.outOfProcess ? " (out-of-process)" : ""}: ${issues.join(", ")}.` });
+    }
+  }
+
+  // SPA routes: soft navigations that are slow on their own
+  const slowRoutes = (report.routes ?? [])
+    .filter(r => r.navigationType === "soft")
+    .map(r => {
+      const issues = [];
+      if (r.lcp != null && r.lcp > 2500) issues.push(`LCP ${Math.round(r.lcp)}ms`);
+      if (r.inp != null && r.inp > 200) issues.push(`INP ${Math.round(r.inp)}ms`);
+      if (r.cls > 0.1) issues.push(`CLS ${r.cls.toFixed(3)}`);
+      if (r.longTasks.totalMs > 200) issues.push(`${Math.round(r.longTasks.totalMs)}ms of long tasks`);
+      return { route: r, issues };
+    })
+    .filter(r => r.issues.length > 0);
+  for (const { route, issues } of slowRoutes.slice(0, 3)) {
+    insights.push({ cls: "needs", text: `Route ${routeLabel(route.url)} (client-side navigation): ${issues.join(", ")}.` });
   }
 
+  // Budget violations
+  if (report.budget) {
+    for (const b of report.budget.results.filter(r => !r.pass)) {
+      insights.push({
+        cls: "poor",
+        text: `Over budget: ${b.label} is ${formatBudgetValue(b.unit, b.actual)}, over this site's budget of ${formatBudgetValue(b.unit, b.limit)}.`,
+      });
+    }
+  }
+
+  // A replayed flow that broke off leaves the interaction metrics incomplete
+  const flow = report.meta?.flow;
+  if (flow?.error) {
+    insights.push({
+      cls: "poor",
+      text: `Flow "${flow.name}" stopped after ${flow.completed} of ${flow.steps} steps (${flow.error}). Interaction metrics only cover the steps that ran.`,
+    });
+  }
+
+  if (insights.length === 0) {
+    insights.push({ cls: "good", text: "Page performance looks good! All key metrics are within recommended thresholds." });
+  }
   return insights;
 }
 
@@ -141,13 +494,109 @@ export function formatBytes(bytes) {
 }
 
 /**
- * Format milliseconds with one decimal place.
+ * Format a budget limit or actual value in its BUDGET_METRICS unit.
+ * @param {string} unit  – "ms" | "KB" | ""
+ * @param {number} v
+ * @returns {string}
+ */
+export function formatBudgetValue(unit, v) {
+  if (unit === "KB") return formatBytes(Math.round(v * 1024));
+  if (unit === "ms") return `${Math.round(v)}ms`;
+  return Number.isInteger(v) ? String(v) : v.toFixed(3);
+}
+
+/**
+ * Format a runtime counter in its RUNTIME_METRICS unit.
+ * @param {string} unit  – "bytes" | "count" | "ms"
+ * @param {number|null} v
+ * @returns {string}
+ */
+export function formatRuntimeValue(unit, v) {
+  if (v == null || isNaN(v)) return "–";
+  if (unit === "bytes") return formatBytes(v);
+  if (unit === "ms") return `${formatMs(v)} ms`;
+  return Math.round(v).toLocaleString("en-US");
+}
+
+/**
+ * Format milliseconds as a whole number, without a unit.
  * @param {number|null|undefined} ms
  * @returns {string}
  */
 export function formatMs(ms) {
   if (ms == null || isNaN(ms)) return "–";
-  return `${Math.round(ms)} ms`;
+  return `${Math.round(ms)}`;
+}
+
+// ─── Budgets ──────────────────────────────────────────────────────────────────
+
+/**
+ * Metrics that can be budgeted per origin. Byte budgets are in KB so that a
+ * budget reads like "Total JS ≤ 300 KB".
+ */
+export const BUDGET_METRICS = [
+  { key: "lcp",                label: "LCP",                unit: "ms", get: r => r.timings.lcp },
+  { key: "fcp",                label: "FCP",                unit: "ms", get: r => r.timings.fcp },
+  { key: "inp",                label: "INP",                unit: "ms", get: r => r.timings.inp },
+  { key: "cls",                label: "CLS",                unit: "",   get: r => r.timings.cls },
+  { key: "ttfb",               label: "TTFB",               unit: "ms", get: r => r.timings.ttfb },
+  { key: "longTaskMs",         label: "Long-task total",    unit: "ms", get: r => r.longTasks.totalMs },
+  { key: "totalBytes",         label: "Total transfer",     unit: "KB", get: r => r.network.transferredBytes / 1024 },
+  { key: "scriptBytes",        label: "Total JS",           unit: "KB",
+    get: r => (r.network.byType ?? []).filter(t => t.type === "script").reduce((s, t) => s + t.bytes, 0) / 1024 },
+  { key: "requests",           label: "Requests",           unit: "",   get: r => r.network.requestsTotal },
+  { key: "thirdPartyRequests", label: "3rd-party requests", unit: "",
+    get: r => (r.network.byDomain ?? []).filter(d => d.thirdParty).reduce((s, d) => s + d.requests, 0) },
+];
+
+/**
+ * Check a RunReport against per-origin budget limits.
+ * @param {object} report
+ * @param {object|null} limits  – { [BUDGET_METRICS key]: number }, unset keys ignored
+ * @returns {{ limits: object, results: object[], passed: boolean }|null}
+ */
+export function checkBudget(report, limits) {
+  if (!limits) return null;
+  const results = [];
+  for (const m of BUDGET_METRICS) {
+    const limit = limits[m.key];
+    if (limit == null) continue;
+    const actual = m.get(report);
+    if (actual == null || isNaN(actual)) continue;
+    results.push({ key: m.key, label: m.label, unit: m.unit, limit, actual, pass: actual <= limit });
+  }
+  if (results.length === 0) return null;
+  return { limits, results, passed: results.every(r => r.pass) };
+}
+
+// ─── Run comparability ────────────────────────────────────────────────────────
+
+/**
+ * Key identifying the measurement conditions of a run. Runs with different
+ * keys (e.g. unthrottled vs. "Slow 4G + 4x CPU", or driven by different
+ * replayed flows) must not be compared.
+ * @param {object} meta  – RunReport meta
+ * @returns {string}
+ */
+export function throttlingKey(meta) {
+  const t = meta?.throttling;
+  const key = t ? [t.profile, t.cpuRate, t.latencyMs, t.downloadKbps, t.uploadKbps].join(":") : "none";
+  return meta?.flow ? `${key}|flow:${meta.flow.name}` : key;
+}
+
+/**
+ * Find the next older run in a newest-first history list that was measured
+ * under the same conditions as history[idx].
+ * @param {object[]} history
+ * @param {number} idx
+ * @returns {object|null}
+ */
+export function findPreviousComparable(history, idx) {
+  const key = throttlingKey(history[idx]?.meta);
+  for (let i = idx + 1; i < history.length; i++) {
+    if (throttlingKey(history[i].meta) === key) return history[i];
+  }
+  return null;
 }
 
 // ─── RunReport schema builder ─────────────────────────────────────────────────
@@ -158,9 +607,10 @@ export function formatMs(ms) {
  * @param {object} pageMetrics   – from content script
  * @param {object} networkData   – from service worker CDP aggregation
  * @param {object} traceInfo     – optional
+ * @param {object} [budgetLimits] – per-origin budget limits, see checkBudget()
  * @returns {object}  RunReport
  */
-export function buildRunReport(meta, pageMetrics, networkData, traceInfo) {
+export function buildRunReport(meta, pageMetrics, networkData, traceInfo, budgetLimits = null) {
   const timings = {
     ttfb: pageMetrics.ttfb ?? null,
     fcp:  pageMetrics.fcp  ?? null,
@@ -183,62 +633,882 @@ export function buildRunReport(meta, pageMetrics, networkData, traceInfo) {
     cacheHitRate:     networkData.cacheHitRate     ?? null,
     failures:         networkData.failures         ?? [],
     byDomain:         networkData.byDomain         ?? [],
+    byEntity:         networkData.byEntity         ?? [],
     byType:           networkData.byType           ?? [],
     slowest:          networkData.slowest          ?? [],
+    requests:         networkData.requests         ?? [],
   };
 
   const report = {
+    schemaVersion: SCHEMA_VERSION,
     meta,
     timings,
     longTasks,
     network,
     resources: pageMetrics.resources ?? {},
     lcpElement: pageMetrics.lcpElement ?? null,
+    lcpBreakdown: pageMetrics.lcpBreakdown ?? null,
+    renderBlocking: networkData.renderBlocking ?? null,
+    criticalChains: networkData.criticalChains ?? [],
     clsSources: pageMetrics.clsSources ?? [],
+    layoutShifts: pageMetrics.layoutShifts ?? null,
+    inpInteraction: pageMetrics.inpInteraction ?? null,
+    interactionStats: pageMetrics.interactionStats ?? null,
+    interactions: pageMetrics.interactions ?? [],
+    routes: pageMetrics.routes ?? [],
+    frames: pageMetrics.frames ?? [],
+    coverage: pageMetrics.coverage ?? null,
+    runtimeMetrics: pageMetrics.runtimeMetrics ?? [],
+    longAnimationFrames: pageMetrics.longAnimationFrames ?? null,
+    mainThread: traceInfo?.analysis ?? null,
+    cpuProfile: traceInfo?.profileSummary ?? null,
     insights: [],
     trace: traceInfo ?? { captured: false },
+    har: networkData.har ?? null,
+  };
+
+  report.budget = checkBudget(report, budgetLimits);
+  report.insights = generateInsights(report);
+  return report;
+}
+
+// ─── Import ───────────────────────────────────────────────────────────────────
+
+/**
+ * RunReport schema version, written as `schemaVersion`. Reports without the
+ * field are version 1: every export made before it existed, each with the
+ * sections of the build that wrote it.
+ */
+export const SCHEMA_VERSION = 2;
+
+// Sections added to RunReport over time, with the value buildRunReport()
+// writes when their data is missing
+const SECTION_DEFAULTS = {
+  resources:           () => ({}),
+  lcpElement:          () => null,
+  lcpBreakdown:        () => null,
+  renderBlocking:      () => null,
+  criticalChains:      () => [],
+  clsSources:          () => [],
+  layoutShifts:        () => null,
+  inpInteraction:      () => null,
+  interactionStats:    () => null,
+  interactions:        () => [],
+  routes:              () => [],
+  frames:              () => [],
+  coverage:            () => null,
+  runtimeMetrics:      () => [],
+  longAnimationFrames: () => null,
+  mainThread:          () => null,
+  cpuProfile:          () => null,
+  budget:              () => null,
+  trace:               () => ({ captured: false }),
+  har:                 () => null,
+};
+
+const NETWORK_LISTS = ["failures", "byDomain", "byEntity", "byType", "slowest", "requests"];
+
+// Fields the views read from list entries, by list path: "string" must be a
+// string, "number" a number, "list" an array and "object" an object; a "?"
+// suffix also allows null, and a nested table an object with those fields.
+// Other values in an imported file could end up in the page's HTML or break
+// its rendering.
+const ENTRY_FIELDS = {
+  "network.failures":               { url: "string" },
+  "network.byDomain":               { domain: "string", requests: "number?", bytes: "number?" },
+  "network.byEntity":               { name: "string", category: "string", domains: "list", requests: "number?", bytes: "number?", mainThreadMs: "number?" },
+  "network.byType":                 { type: "string", requests: "number?", bytes: "number?" },
+  "network.slowest":                { url: "string", type: "string?", durationMs: "number?", transferBytes: "number?" },
+  "network.requests":               { url: "string", type: "string", status: "number?", startMs: "number?", totalMs: "number?" },
+  "renderBlocking.resources":       { url: "string", type: "string", durationMs: "number?", fcpCostMs: "number?" },
+  "criticalChains":                 { kind: "string", depth: "number?", totalMs: "number?", steps: "list" },
+  "coverage.files":                 { url: "string", type: "string", totalBytes: "number?", unusedBytes: "number?", unusedPct: "number?" },
+  "interactions":                   { type: "string", target: "string?", duration: "number?", scripts: "list?" },
+  "frames":                         { url: "string", cls: "number?", longTasks: "object?", requests: "number?", transferredBytes: "number?" },
+  "routes":                         { url: "string", navigationType: "string", startTime: "number?", durationMs: "number?",
+                                      lcp: "number?", inp: "number?", cls: "number?", longTasks: { totalMs: "number?" },
+                                      network: { requests: "number?", transferredBytes: "number?" } },
+  "clsSources":                     { startTime: "number?", value: "number", sources: "list" },
+  "runtimeMetrics":                 { t: "number", ...Object.fromEntries(RUNTIME_METRICS.map(m => [m.key, "number?"])) },
+  "longAnimationFrames.worst":      { startTime: "number?", duration: "number?", scripts: "list", interactionIds: "list" },
+  "longAnimationFrames.topScripts": { sourceURL: "string?", functionName: "string?", invoker: "string?", totalMs: "number?", frames: "number?" },
+  "cpuProfile.functions":           { functionName: "string", url: "string?", selfMs: "number?", totalMs: "number?" },
+  "mainThread.topScripts":          { url: "string", durationMs: "number?" },
+  "budget.results":                 { key: "string", label: "string", unit: "string", limit: "number", actual: "number" },
+  "batch.runs":                     { timestamp: "string", requestsTotal: "number?", transferredBytes: "number?", outliers: "list",
+                                      timings: { ttfb: "number?", fcp: "number?", lcp: "number?", cls: "number?", load: "number?" } },
+};
+
+// Entries of nested lists, checked per parent entry
+const NESTED_ENTRY_FIELDS = {
+  "criticalChains.steps":            { url: "string", type: "string", startMs: "number?", endMs: "number?" },
+  "longAnimationFrames.worst.scripts": { sourceURL: "string?", functionName: "string?", invoker: "string?", duration: "number?" },
+  "interactions.scripts":            { sourceURL: "string?", functionName: "string?", invoker: "string?" },
+  "clsSources.sources":              { node: "string?" },
+};
+
+// Fields the views read from optional report sections, by section path;
+// checked when the section is present
+const SECTION_FIELDS = {
+  "network":                  { requestsTotal: "number?", transferredBytes: "number?", cacheHitRate: "number?" },
+  "longTasks":                { count: "number?", totalMs: "number?", maxMs: "number?" },
+  "lcpBreakdown":             { ttfb: "number?", loadDelay: "number?", loadDuration: "number?", renderDelay: "number?" },
+  "renderBlocking":           { resources: "list", byType: "object", fcpDelayMs: "number?" },
+  "coverage":                 { js: "object", css: "object", files: "list" },
+  "coverage.js":              { files: "number", totalBytes: "number", unusedBytes: "number" },
+  "coverage.css":             { files: "number", totalBytes: "number", unusedBytes: "number" },
+  "layoutShifts":             { shiftCount: "number", windowCount: "number", total: "number", worstWindow: "object?" },
+  "layoutShifts.worstWindow": { value: "number", start: "number", end: "number", shiftCount: "number" },
+  "longAnimationFrames":      { count: "number", totalBlockingMs: "number?", worst: "list", topScripts: "list" },
+  "mainThread":               { totalMs: "number?", categories: "object", topScripts: "list?" },
+  "cpuProfile":               { functions: "list", sampleCount: "number?", durationMs: "number?", idleMs: "number?" },
+  "budget":                   { results: "list" },
+  "batch":                    { count: "number", representative: "number?", stats: "object", runs: "list" },
+};
+
+/** Classes an insight is rated with, see generateInsights(). */
+export const INSIGHT_CLASSES = new Set(["good", "needs", "poor"]);
+
+/** Waterfall phases of a request without timing data: all unknown. */
+export const NO_PHASES = { blocked: -1, dns: -1, connect: -1, ssl: -1, send: -1, wait: -1, receive: -1 };
+
+// Known waterfall phases of a request; anything but a number counts as unknown
+function phasesOf(request) {
+  const phases = request.phases && typeof request.phases === "object" ? request.phases : {};
+  return Object.fromEntries(Object.entries(NO_PHASES)
+    .map(([key, none]) => [key, typeof phases[key] === "number" ? phases[key] : none]));
+}
+
+function valueAt(obj, path) {
+  return path.split(".").reduce((v, key) => (v == null ? undefined : v[key]), obj);
+}
+
+function fieldMatches(value, type) {
+  switch (type) {
+    case "string":  return typeof value === "string";
+    case "string?": return value == null || typeof value === "string";
+    case "number":  return typeof value === "number" && !isNaN(value);
+    case "number?": return value == null || (typeof value === "number" && !isNaN(value));
+    case "list":    return Array.isArray(value);
+    case "list?":   return value == null || Array.isArray(value);
+    case "object":  return !!value && typeof value === "object" && !Array.isArray(value);
+    case "object?": return value == null || (typeof value === "object" && !Array.isArray(value));
+    default:        return false;
+  }
+}
+
+function checkFields(obj, path, fields) {
+  for (const [field, type] of Object.entries(fields)) {
+    if (typeof type === "object") {
+      if (!fieldMatches(obj[field], "object")) throw new Error(`Not a RunReport: ${path}.${field} is not an object.`);
+      checkFields(obj[field], `${path}.${field}`, type);
+    } else if (!fieldMatches(obj[field], type)) {
+      throw new Error(`Not a RunReport: ${path}.${field} is not a valid ${type.replace("?", "")}.`);
+    }
+  }
+}
+
+function checkSection(section, path, fields) {
+  if (section == null) return;
+  if (typeof section !== "object" || Array.isArray(section)) throw new Error(`Not a RunReport: ${path} is not an object.`);
+  checkFields(section, path, fields);
+}
+
+function checkEntries(list, path, fields) {
+  if (list == null) return;
+  if (!Array.isArray(list)) throw new Error(`Not a RunReport: ${path} is not a list.`);
+  list.forEach((entry, i) => {
+    if (!entry || typeof entry !== "object") throw new Error(`Not a RunReport: ${path}[${i}] is not an object.`);
+    checkFields(entry, `${path}[${i}]`, fields);
+  });
+}
+
+function checkInsights(insights) {
+  if (insights == null) return;
+  if (!Array.isArray(insights)) throw new Error("Not a RunReport: insights is not a list.");
+  insights.forEach((ins, i) => {
+    const valid = typeof ins === "string" ||
+      (ins && INSIGHT_CLASSES.has(ins.cls) && typeof ins.text === "string");
+    if (!valid) throw new Error(`Not a RunReport: insights[${i}] is not an insight.`);
+  });
+}
+
+/**
+ * Check that parsed JSON is a RunReport and upgrade it to SCHEMA_VERSION,
+ * filling sections older builds did not write with their empty values.
+ * List entries the views render are type-checked, and saved insights are kept
+ * as exported if they are well-formed; they are only generated when missing.
+ * @param {any} data
+ * @returns {object}  RunReport
+ * @throws {Error} when `data` is not a RunReport or comes from a newer version
+ */
+export function migrateRunReport(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("Not a RunReport: expected a JSON object.");
+  }
+  const version = data.schemaVersion ?? 1;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Unknown schemaVersion ${JSON.stringify(data.schemaVersion)}.`);
+  }
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`The report uses schema version ${version}; this extension reads up to ${SCHEMA_VERSION}.`);
+  }
+
+  const { meta, timings, network = {} } = data;
+  if (!meta || typeof meta.url !== "string" || isNaN(Date.parse(meta.timestamp))) {
+    throw new Error("Not a RunReport: meta.url or meta.timestamp is missing.");
+  }
+  let origin = meta.origin;
+  try {
+    origin ??= new URL(meta.url).origin;
+  } catch (_) {
+    throw new Error(`Not a RunReport: invalid meta.url "${meta.url}".`);
+  }
+  if (!timings || typeof timings !== "object") {
+    throw new Error("Not a RunReport: timings are missing.");
+  }
+  for (const [key, v] of Object.entries(timings)) {
+    if (v != null && typeof v !== "number") throw new Error(`Not a RunReport: timings.${key} is not a number.`);
+  }
+  for (const [path, fields] of Object.entries(SECTION_FIELDS)) {
+    checkSection(valueAt(data, path), path, fields);
+  }
+  for (const [path, fields] of Object.entries(ENTRY_FIELDS)) {
+    checkEntries(valueAt(data, path), path, fields);
+  }
+  for (const [path, fields] of Object.entries(NESTED_ENTRY_FIELDS)) {
+    const parentPath = path.slice(0, path.lastIndexOf("."));
+    const key = path.slice(parentPath.length + 1);
+    (valueAt(data, parentPath) ?? []).forEach((entry, i) => checkEntries(entry[key], `${parentPath}[${i}].${key}`, fields));
+  }
+  checkInsights(data.insights);
+
+  // `id` is the exporter's IndexedDB key, meaningless here
+  const { id: _id, ...rest } = data;
+  const report = {
+    ...rest,
+    schemaVersion: SCHEMA_VERSION,
+    meta: { ...meta, origin, throttling: meta.throttling ?? null, flow: meta.flow ?? null },
+    timings: { ttfb: null, fcp: null, lcp: null, inp: null, cls: null, dcl: null, load: null, ...timings },
+    longTasks: { count: 0, totalMs: 0, maxMs: 0, ...data.longTasks },
+    network: { requestsTotal: 0, transferredBytes: 0, cacheHitRate: null, ...network },
   };
+  for (const key of NETWORK_LISTS) report.network[key] ??= [];
+  report.network.requests = report.network.requests.map(r => ({ ...r, phases: phasesOf(r) }));
+  for (const [key, empty] of Object.entries(SECTION_DEFAULTS)) report[key] ??= empty();
+  if (!Array.isArray(report.insights)) report.insights = generateInsights(report);
+  return report;
+}
+
+/**
+ * Parse and validate the text of an exported RunReport file.
+ * @param {string} text
+ * @returns {object}  RunReport, migrated to SCHEMA_VERSION
+ * @throws {Error}
+ */
+export function parseRunReport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Not valid JSON: ${e.message}`);
+  }
+  return migrateRunReport(data);
+}
 
+// ─── Batch aggregation ────────────────────────────────────────────────────────
+
+/** Metrics summarised across the runs of a batch, with their getters. */
+export const BATCH_METRICS = [
+  { key: "ttfb",        label: "TTFB",        get: r => r.timings.ttfb },
+  { key: "fcp",         label: "FCP",         get: r => r.timings.fcp },
+  { key: "lcp",         label: "LCP",         get: r => r.timings.lcp },
+  { key: "inp",         label: "INP",         get: r => r.timings.inp },
+  { key: "cls",         label: "CLS",         get: r => r.timings.cls },
+  { key: "dcl",         label: "DCL",         get: r => r.timings.dcl },
+  { key: "load",        label: "Load",        get: r => r.timings.load },
+  { key: "longTasks",   label: "Long Tasks",  get: r => r.longTasks.totalMs },
+  { key: "requests",    label: "Requests",    get: r => r.network.requestsTotal },
+  { key: "transferred", label: "Transferred", get: r => r.network.transferredBytes },
+];
+
+/**
+ * Percentile with linear interpolation between closest ranks.
+ * @param {number[]} sorted  – ascending
+ * @param {number} p         – 0..1
+ * @returns {number|null}
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const idx = (sorted.length - 1) * p;
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+/**
+ * Combine the RunReports of a multi-run batch into one aggregate report.
+ * Timings are replaced by their medians; tables come from the run closest to
+ * the median LCP. `batch.stats` holds median/p75/min/max/spread per metric and
+ * `batch.runs` a summary of every run with its outlier metrics (Tukey fences).
+ * @param {object[]} reports  – in run order
+ * @returns {object}  RunReport with a `batch` section
+ */
+export function aggregateReports(reports) {
+  const stats = {};
+  const fences = {};
+  for (const m of BATCH_METRICS) {
+    const values = reports.map(m.get).filter(v => v != null && !isNaN(v)).sort((a, b) => a - b);
+    if (values.length === 0) { stats[m.key] = null; continue; }
+    const p25 = percentile(values, 0.25);
+    const p75 = percentile(values, 0.75);
+    stats[m.key] = {
+      median: percentile(values, 0.5),
+      p75,
+      min:    values[0],
+      max:    values[values.length - 1],
+      spread: values[values.length - 1] - values[0],
+    };
+    if (values.length >= 4) {
+      const iqr = p75 - p25;
+      fences[m.key] = { lo: p25 - 1.5 * iqr, hi: p75 + 1.5 * iqr };
+    }
+  }
+
+  const pivot = stats.lcp ? "lcp" : "load";
+  let repIdx = 0;
+  if (stats[pivot]) {
+    const metric = BATCH_METRICS.find(m => m.key === pivot);
+    let best = Infinity;
+    reports.forEach((r, i) => {
+      const v = metric.get(r);
+      if (v != null && Math.abs(v - stats[pivot].median) < best) {
+        best = Math.abs(v - stats[pivot].median);
+        repIdx = i;
+      }
+    });
+  }
+
+  const runs = reports.map(r => {
+    const outliers = BATCH_METRICS
+      .filter(m => fences[m.key] && m.get(r) != null &&
+        (m.get(r) < fences[m.key].lo || m.get(r) > fences[m.key].hi))
+      .map(m => m.key);
+    return {
+      timestamp:        r.meta.timestamp,
+      timings:          r.timings,
+      longTasks:        r.longTasks,
+      requestsTotal:    r.network.requestsTotal,
+      transferredBytes: r.network.transferredBytes,
+      outliers,
+    };
+  });
+
+  const base = reports[repIdx];
+  const timings = { ...base.timings };
+  for (const key of Object.keys(timings)) {
+    if (stats[key]) timings[key] = stats[key].median;
+  }
+
+  const report = {
+    ...base,
+    meta: { ...base.meta, timestamp: reports[reports.length - 1].meta.timestamp },
+    timings,
+    batch: { count: reports.length, representative: repIdx, stats, runs },
+  };
+  report.budget = checkBudget(report, base.budget?.limits ?? null);
   report.insights = generateInsights(report);
   return report;
 }
 
+// ─── Trends ───────────────────────────────────────────────────────────────────
+
+/**
+ * Metrics charted over time in the report viewer. Metrics with an entry in
+ * THRESHOLDS are drawn over good / needs-improvement / poor bands.
+ */
+export const TREND_METRICS = [
+  { key: "lcp",        label: "LCP",         unit: "ms",    get: r => r.timings?.lcp },
+  { key: "inp",        label: "INP",         unit: "ms",    get: r => r.timings?.inp },
+  { key: "cls",        label: "CLS",         unit: "",      get: r => r.timings?.cls },
+  { key: "bytes",      label: "Transferred", unit: "bytes", get: r => r.network?.transferredBytes },
+  { key: "longTaskMs", label: "Long tasks",  unit: "ms",    get: r => r.longTasks?.totalMs },
+];
+
+/**
+ * Points for one trend metric, oldest first. Only runs measured under the
+ * same throttling as `reference` are included, as for delta comparisons.
+ * @param {object[]} history  – newest-first runs
+ * @param {object} metric     – entry of TREND_METRICS
+ * @param {object} reference  – the report the chart is shown for
+ * @returns {{ t: number, value: number, report: object }[]}
+ */
+export function trendSeries(history, metric, reference) {
+  const key = throttlingKey(reference.meta);
+  return history
+    .filter(r => throttlingKey(r.meta) === key)
+    .map(r => ({ t: Date.parse(r.meta.timestamp), value: metric.get(r), report: r }))
+    .filter(p => p.value != null && !isNaN(p.value))
+    .reverse();
+}
+
+// ─── Run comparison ───────────────────────────────────────────────────────────
+
+/** Metrics compared between two runs; lower is better for all of them. */
+export const DIFF_METRICS = [
+  { key: "ttfb",         label: "TTFB",            unit: "ms",    get: r => r.timings?.ttfb },
+  { key: "fcp",          label: "FCP",             unit: "ms",    get: r => r.timings?.fcp },
+  { key: "lcp",          label: "LCP",             unit: "ms",    get: r => r.timings?.lcp },
+  { key: "inp",          label: "INP",             unit: "ms",    get: r => r.timings?.inp },
+  { key: "cls",          label: "CLS",             unit: "score", get: r => r.timings?.cls },
+  { key: "dcl",          label: "DCL",             unit: "ms",    get: r => r.timings?.dcl },
+  { key: "load",         label: "Load",            unit: "ms",    get: r => r.timings?.load },
+  { key: "requests",     label: "Requests",        unit: "count", get: r => r.network?.requestsTotal },
+  { key: "bytes",        label: "Transferred",     unit: "bytes", get: r => r.network?.transferredBytes },
+  { key: "scriptBytes",  label: "JS transferred",  unit: "bytes", get: r => r.network?.byType?.find(t => t.type === "script")?.bytes },
+  { key: "longTaskMs",   label: "Long tasks",      unit: "ms",    get: r => r.longTasks?.totalMs },
+  { key: "mainThreadMs", label: "Main thread",     unit: "ms",    get: r => r.mainThread?.totalMs },
+];
+
+// A request counts as bigger / slower when it changed by at least this much,
+// both absolutely and relative to the base run
+const DIFF_MIN_BYTES = 1024;
+const DIFF_MIN_MS = 50;
+const DIFF_MIN_RATIO = 0.1;
+
+// Waterfall rows grouped by URL (a URL fetched twice sums its bytes)
+function requestsByUrl(report) {
+  const map = new Map();
+  for (const r of report.network?.requests ?? []) {
+    if (r.redirect) continue;
+    const entry = map.get(r.url) ?? { url: r.url, domain: r.domain, type: r.type, count: 0, transferBytes: 0, totalMs: 0 };
+    entry.count++;
+    entry.transferBytes += r.transferBytes ?? 0;
+    entry.totalMs = Math.max(entry.totalMs, r.totalMs ?? 0);
+    map.set(r.url, entry);
+  }
+  return map;
+}
+
+function changed(base, target, minAbs) {
+  const delta = target - base;
+  return delta >= minAbs && delta >= base * DIFF_MIN_RATIO;
+}
+
+// Per-key request / byte totals of two rows lists, changed keys only
+function diffBreakdown(baseRows, targetRows, keyOf) {
+  const rows = new Map();
+  const row = k => rows.get(k) ?? rows.set(k, { key: k, baseRequests: 0, targetRequests: 0, baseBytes: 0, targetBytes: 0 }).get(k);
+  for (const r of baseRows ?? []) { const e = row(keyOf(r)); e.baseRequests += r.requests; e.baseBytes += r.bytes; }
+  for (const r of targetRows ?? []) { const e = row(keyOf(r)); e.targetRequests += r.requests; e.targetBytes += r.bytes; }
+  return [...rows.values()]
+    .map(e => ({ ...e, deltaBytes: e.targetBytes - e.baseBytes }))
+    .filter(e => e.baseRequests !== e.targetRequests || e.deltaBytes !== 0)
+    .sort((a, b) => Math.abs(b.deltaBytes) - Math.abs(a.deltaBytes));
+}
+
+function runSummary(report) {
+  return {
+    url: report.meta?.url ?? "",
+    timestamp: report.meta?.timestamp ?? null,
+    throttling: report.meta?.throttling?.label ?? null,
+    flow: report.meta?.flow?.name ?? null,
+    batch: report.batch?.count ?? null,
+  };
+}
+
+/**
+ * Full diff between two RunReports: metric deltas, request-level changes
+ * (matched by URL), per-domain and per-type changes and insight changes.
+ * Request diffs need the waterfall (`network.requests`) in both reports and
+ * are null otherwise.
+ * @param {object} base    – the older / reference run
+ * @param {object} target  – the run being evaluated
+ * @returns {object}
+ */
+export function diffReports(base, target) {
+  const metrics = DIFF_METRICS.map(m => {
+    const a = m.get(base), b = m.get(target);
+    return {
+      key: m.key, label: m.label, unit: m.unit, base: a ?? null, target: b ?? null,
+      delta: a != null && b != null ? b - a : null,
+    };
+  });
+
+  let requests = null;
+  if (base.network?.requests?.length && target.network?.requests?.length) {
+    const before = requestsByUrl(base);
+    const after = requestsByUrl(target);
+    const added = [...after.values()].filter(r => !before.has(r.url));
+    const removed = [...before.values()].filter(r => !after.has(r.url));
+    const both = [...after.values()].filter(r => before.has(r.url)).map(r => ({ b: r, a: before.get(r.url) }));
+    requests = {
+      added: added.sort((x, y) => y.transferBytes - x.transferBytes),
+      removed: removed.sort((x, y) => y.transferBytes - x.transferBytes),
+      bigger: both
+        .filter(({ a, b }) => changed(a.transferBytes, b.transferBytes, DIFF_MIN_BYTES))
+        .map(({ a, b }) => ({ url: b.url, type: b.type, base: a.transferBytes, target: b.transferBytes, delta: b.transferBytes - a.transferBytes }))
+        .sort((x, y) => y.delta - x.delta),
+      slower: both
+        .filter(({ a, b }) => changed(a.totalMs, b.totalMs, DIFF_MIN_MS))
+        .map(({ a, b }) => ({ url: b.url, type: b.type, base: a.totalMs, target: b.totalMs, delta: b.totalMs - a.totalMs }))
+        .sort((x, y) => y.delta - x.delta),
+    };
+  }
+
+  // Insights are { cls, text }; runs saved before they were rated, and files
+  // imported with such runs, still hold plain strings
+  const insightText = i => (typeof i === "string" ? i : i.text);
+  const baseInsights = new Set((base.insights ?? []).map(insightText));
+  const targetInsights = new Set((target.insights ?? []).map(insightText));
+
+  return {
+    base: runSummary(base),
+    target: runSummary(target),
+    comparable: throttlingKey(base.meta) === throttlingKey(target.meta),
+    metrics,
+    requests,
+    byDomain: diffBreakdown(base.network?.byDomain, target.network?.byDomain, d => d.domain),
+    byType: diffBreakdown(base.network?.byType, target.network?.byType, t => t.type),
+    insights: {
+      added: [...targetInsights].filter(t => !baseInsights.has(t)),
+      resolved: [...baseInsights].filter(t => !targetInsights.has(t)),
+    },
+  };
+}
+
 // ─── Storage helpers ──────────────────────────────────────────────────────────
 
-const MAX_HISTORY = 10;
+// Run history lives in IndexedDB (one record per run, indexed by origin, URL
+// and date); budgets and settings stay in chrome.storage.local.
+const HISTORY_DB = "perf-checker-history";
+const HISTORY_DB_VERSION = 1;
+const RUNS_STORE = "runs";
+
+/**
+ * History retention used until the user configures one. 0 disables a limit.
+ */
+export const DEFAULT_RETENTION = { maxAgeDays: 365, maxRunsPerOrigin: 1000 };
+
+/**
+ * Scheduled monitoring settings used until the user configures them.
+ */
+export const DEFAULT_MONITOR = { enabled: false, intervalMinutes: 60, urls: [], throttling: null };
+
+let historyDbPromise = null;
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function idbTransactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = tx.onabort = () => reject(tx.error);
+  });
+}
+
+function openHistoryDb() {
+  if (!historyDbPromise) {
+    const req = indexedDB.open(HISTORY_DB, HISTORY_DB_VERSION);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(RUNS_STORE, { keyPath: "id", autoIncrement: true });
+      store.createIndex("origin", ["meta.origin", "meta.timestamp"]);
+      store.createIndex("url", ["meta.url", "meta.timestamp"]);
+      store.createIndex("timestamp", "meta.timestamp");
+    };
+    historyDbPromise = idbRequest(req).then(async (db) => {
+      await migrateLegacyHistory(db);
+      return db;
+    });
+  }
+  return historyDbPromise;
+}
+
+// One-time move of the old chrome.storage.local `history:<origin>` lists.
+// Runs already in the store (another page migrating at the same time) are skipped.
+async function migrateLegacyHistory(db) {
+  const all = await new Promise((resolve) => chrome.storage.local.get(null, resolve));
+  const keys = Object.keys(all).filter(k => k.startsWith("history:"));
+  if (keys.length === 0) return;
+  const tx = db.transaction(RUNS_STORE, "readwrite");
+  const store = tx.objectStore(RUNS_STORE);
+  for (const key of keys) {
+    for (const run of all[key]) {
+      const count = store.index("origin").count([run.meta.origin, run.meta.timestamp]);
+      count.onsuccess = () => { if (count.result === 0) store.add(run); };
+    }
+  }
+  await idbTransactionDone(tx);
+  await new Promise((resolve) => chrome.storage.local.remove(keys, resolve));
+}
+
+// Newest-first runs whose index key starts with `value` (all runs when null)
+async function readRuns(indexName, value, limit = Infinity) {
+  const db = await openHistoryDb();
+  const tx = db.transaction(RUNS_STORE, "readonly");
+  const range = value == null ? null : IDBKeyRange.bound([value, ""], [value, "\uffff"]);
+  const req = tx.objectStore(RUNS_STORE).index(indexName).openCursor(range, "prev");
+  const runs = [];
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor || runs.length >= limit) { resolve(runs); return; }
+      runs.push(cursor.value);
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Drop an origin's runs that are past the retention limits
+async function pruneHistory(db, origin, retention) {
+  const cutoff = retention.maxAgeDays > 0
+    ? new Date(Date.now() - retention.maxAgeDays * 86400000).toISOString()
+    : null;
+  const tx = db.transaction(RUNS_STORE, "readwrite");
+  const range = IDBKeyRange.bound([origin, ""], [origin, "\uffff"]);
+  const req = tx.objectStore(RUNS_STORE).index("origin").openCursor(range, "prev");
+  let kept = 0;
+  req.onsuccess = () => {
+    const cursor = req.result;
+    if (!cursor) return;
+    const tooMany = retention.maxRunsPerOrigin > 0 && kept >= retention.maxRunsPerOrigin;
+    const tooOld = cutoff && cursor.value.meta.timestamp < cutoff;
+    if (tooMany || tooOld) cursor.delete();
+    else kept++;
+    cursor.continue();
+  };
+  await idbTransactionDone(tx);
+}
+
+/**
+ * Coverage without its export: per-file byte counts are kept, the used ranges
+ * and source text dropped.
+ * @param {object|null} coverage
+ * @returns {object|null}
+ */
+export function stripCoverageExport(coverage) {
+  if (!coverage) return null;
+  const { export: _export, ...summary } = coverage;
+  return summary;
+}
 
 /**
- * Save a RunReport to chrome.storage.local, keyed by origin.
- * Keeps the last MAX_HISTORY reports per origin.
+ * Save a RunReport to the IndexedDB run history, then prune the origin's
+ * runs to the configured retention. Raw trace chunks, the HAR log and the
+ * coverage export are dropped; they are only available for download right
+ * after a run.
  * @param {object} report
  * @returns {Promise<void>}
  */
 export async function saveReport(report) {
-  const origin = report.meta.origin;
-  const key = `history:${origin}`;
-  return new Promise((resolve, reject) => {
-    chrome.storage.local.get([key], (result) => {
-      const history = result[key] ?? [];
-      history.unshift(report);
-      if (history.length > MAX_HISTORY) history.length = MAX_HISTORY;
-      chrome.storage.local.set({ [key]: history }, () => {
-        if (chrome.runtime.lastError) reject(chrome.runtime.lastError);
-        else resolve();
-      });
-    });
+  const { har: _har, id: _id, ...rest } = report;
+  const db = await openHistoryDb();
+  const tx = db.transaction(RUNS_STORE, "readwrite");
+  tx.objectStore(RUNS_STORE).add({
+    ...rest,
+    trace: { captured: report.trace?.captured, sizeBytes: report.trace?.sizeBytes },
+    coverage: stripCoverageExport(report.coverage),
   });
+  await idbTransactionDone(tx);
+  await pruneHistory(db, report.meta.origin, await loadRetention());
 }
 
 /**
- * Load saved reports for an origin.
+ * Add a RunReport read from a file to the run history, so it shows up in
+ * comparisons and trends next to local runs. A run already saved under the
+ * same origin and timestamp (e.g. re-importing a file) is not added twice.
+ * @param {object} report    – from parseRunReport()
+ * @param {string} fileName
+ * @returns {Promise<boolean>}  whether the run was added
+ * @throws {Error} when the run is older than the history retention
+ */
+export async function importReport(report, fileName) {
+  const { maxAgeDays } = await loadRetention();
+  if (maxAgeDays > 0 && Date.parse(report.meta.timestamp) < Date.now() - maxAgeDays * 86400000) {
+    throw new Error(`The run is older than the ${maxAgeDays}-day history retention.`);
+  }
+  const db = await openHistoryDb();
+  const tx = db.transaction(RUNS_STORE, "readonly");
+  const key = [report.meta.origin, report.meta.timestamp];
+  if (await idbRequest(tx.objectStore(RUNS_STORE).index("origin").count(key)) > 0) return false;
+  await saveReport({ ...report, imported: { fileName, importedAt: new Date().toISOString() } });
+  return true;
+}
+
+/**
+ * Load the history retention settings.
+ * @returns {Promise<{ maxAgeDays: number, maxRunsPerOrigin: number }>}
+ */
+export async function loadRetention() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(["historyRetention"], (result) =>
+      resolve({ ...DEFAULT_RETENTION, ...result.historyRetention }));
+  });
+}
+
+/**
+ * Save the history retention settings; they apply from the next saved run.
+ * @param {{ maxAgeDays: number, maxRunsPerOrigin: number }} retention
+ * @returns {Promise<void>}
+ */
+export async function saveRetention(retention) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ historyRetention: retention }, resolve);
+  });
+}
+
+/**
+ * Load the budget limits configured for an origin.
  * @param {string} origin
- * @returns {Promise<object[]>}
+ * @returns {Promise<object|null>}
  */
-export async function loadHistory(origin) {
-  const key = `history:${origin}`;
+export async function loadBudget(origin) {
+  const key = `budget:${origin}`;
   return new Promise((resolve) => {
-    chrome.storage.local.get([key], (result) => {
-      resolve(result[key] ?? []);
-    });
+    chrome.storage.local.get([key], (result) => resolve(result[key] ?? null));
+  });
+}
+
+/**
+ * Save (or with null, clear) the budget limits for an origin.
+ * @param {string} origin
+ * @param {object|null} limits
+ * @returns {Promise<void>}
+ */
+export async function saveBudget(origin, limits) {
+  const key = `budget:${origin}`;
+  return new Promise((resolve) => {
+    if (limits) chrome.storage.local.set({ [key]: limits }, resolve);
+    else chrome.storage.local.remove(key, resolve);
+  });
+}
+
+/**
+ * Load the domains an origin treats as first-party (its own CDN, API hosts…).
+ * @param {string} origin
+ * @returns {Promise<string[]>}
+ */
+export async function loadFirstPartyDomains(origin) {
+  const key = `firstParty:${origin}`;
+  return new Promise((resolve) => {
+    chrome.storage.local.get([key], (result) => resolve(result[key] ?? []));
+  });
+}
+
+/**
+ * Save (or with an empty list, clear) the first-party domains of an origin.
+ * @param {string} origin
+ * @param {string[]} domains
+ * @returns {Promise<void>}
+ */
+export async function saveFirstPartyDomains(origin, domains) {
+  const key = `firstParty:${origin}`;
+  return new Promise((resolve) => {
+    if (domains.length > 0) chrome.storage.local.set({ [key]: domains }, resolve);
+    else chrome.storage.local.remove(key, resolve);
+  });
+}
+
+/**
+ * Load the user flows recorded on an origin.
+ * @param {string} origin
+ * @returns {Promise<Array<{ name: string, url: string, createdAt: string, steps: object[] }>>}
+ */
+export async function loadFlows(origin) {
+  const key = `flows:${origin}`;
+  return new Promise((resolve) => {
+    chrome.storage.local.get([key], (result) => resolve(result[key] ?? []));
+  });
+}
+
+/**
+ * Save (or with an empty list, clear) the user flows of an origin.
+ * @param {string} origin
+ * @param {object[]} flows
+ * @returns {Promise<void>}
+ */
+export async function saveFlows(origin, flows) {
+  const key = `flows:${origin}`;
+  return new Promise((resolve) => {
+    if (flows.length > 0) chrome.storage.local.set({ [key]: flows }, resolve);
+    else chrome.storage.local.remove(key, resolve);
+  });
+}
+
+/**
+ * Load the scheduled monitoring settings.
+ * @returns {Promise<{ enabled: boolean, intervalMinutes: number, urls: string[], throttling: { profile: string }|null }>}
+ */
+export async function loadMonitorConfig() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(["monitor"], (result) =>
+      resolve({ ...DEFAULT_MONITOR, ...result.monitor }));
+  });
+}
+
+/**
+ * Save the scheduled monitoring settings; the service worker reschedules its
+ * alarm when they change.
+ * @param {{ enabled: boolean, intervalMinutes: number, urls: string[], throttling: { profile: string }|null }} config
+ * @returns {Promise<void>}
+ */
+export async function saveMonitorConfig(config) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ monitor: config }, resolve);
+  });
+}
+
+/**
+ * Load the outcome of the latest scheduled check of each monitored URL.
+ * @returns {Promise<Object<string, object>>} keyed by URL
+ */
+export async function loadMonitorStatus() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(["monitorStatus"], (result) => resolve(result.monitorStatus ?? {}));
+  });
+}
+
+/**
+ * Save the outcome of scheduled checks, keyed by URL.
+ * @param {Object<string, object>} status
+ * @returns {Promise<void>}
+ */
+export async function saveMonitorStatus(status) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ monitorStatus: status }, resolve);
   });
 }
+
+/**
+ * Load saved reports for an origin, newest first.
+ * @param {string} origin
+ * @param {number} [limit] – read at most this many runs
+ * @returns {Promise<object[]>}
+ */
+export async function loadHistory(origin, limit = Infinity) {
+  return readRuns("origin", origin, limit);
+}
+
+/**
+ * Load saved reports for one page URL, newest first.
+ * @param {string} url
+ * @param {number} [limit] – read at most this many runs
+ * @returns {Promise<object[]>}
+ */
+export async function loadUrlHistory(url, limit = Infinity) {
+  return readRuns("url", url, limit);
+}
+
+/**
+ * Load the most recent saved reports across all origins, newest first.
+ * @param {number} [limit] – read at most this many runs
+ * @returns {Promise<object[]>}
+ */
+export async function loadRecentRuns(limit = Infinity) {
+  return readRuns("timestamp", null, limit);
+}
@@ -0,0 +1,84 @@
+/**
+ * report_page.js
+ *
+ * Full-page report viewer (report.html). Opens a RunReport saved in history,
+ * identified by `?origin=<origin>&ts=<meta.timestamp>`, and renders it with
+ * the shared views.js renderers at full size. Exported reports imported here
+ * are added to history first, then opened the same way.
+ */
+
+import {
+  $,
+  renderReport,
+  renderTrends,
+  findPreviousComparable,
+  parseRunReport,
+  importReport,
+  loadHistory,
+  loadUrlHistory,
+} from "./views.js";
+
+async function initReportPage() {
+  const params = new URLSearchParams(location.search);
+  const origin = params.get("origin");
+  const ts = params.get("ts");
+
+  $("import-file").onchange = e => importFile(e.target);
+  if (!origin) {
+    showError("Import an exported report (📂 Import) to view it.", false);
+    return;
+  }
+
+  const history = await loadHistory(origin);
+  const idx = history.findIndex(r => r.meta.timestamp === ts);
+  if (idx === -1) {
+    showError("Report not found. It may have dropped out of the run history.");
+    return;
+  }
+
+  const report = history[idx];
+  const time = new Date(report.meta.timestamp).toLocaleString();
+  document.title = `${report.meta.url} – ${time}`;
+  $("url-badge").textContent = report.meta.url;
+  $("url-badge").title = report.meta.url;
+  const imported = report.imported ? `imported from ${report.imported.fileName}` : null;
+  const flow = report.meta.flow ? `flow "${report.meta.flow.name}"` : null;
+  const scheduled = report.meta.scheduled ? "scheduled check" : null;
+  $("report-time").textContent = [time, report.meta.throttling?.label, flow, report.batch ? `median of ${report.batch.count}` : null, scheduled, imported]
+    .filter(Boolean)
+    .join(" · ");
+
+  renderReport(report, findPreviousComparable(history, idx));
+  $("btn-compare").onclick = () => {
+    location.href = `compare.html?${new URLSearchParams({ origin, ts })}`;
+  };
+
+  const scope = $("trends-scope");
+  const drawTrends = async () => {
+    renderTrends(scope.value === "url" ? await loadUrlHistory(report.meta.url) : history, report);
+  };
+  scope.onchange = drawTrends;
+  await drawTrends();
+}
+
+// Save the file's run to history and reopen the page on it
+async function importFile(input) {
+  const file = input.files[0];
+  input.value = "";
+  if (!file) return;
+  try {
+    const report = parseRunReport(await file.text());
+    await importReport(report, file.name);
+    location.search = `?${new URLSearchParams({ origin: report.meta.origin, ts: report.meta.timestamp })}`;
+  } catch (e) {
+    showError(`Could not import ${file.name}: ${e.message}`);
+  }
+}
+
+function showError(msg, isError = true) {
+  const el = $("status-msg");
+  el.textContent = msg;
+  el.className = "status-msg" + (isError ? " error" : "");
+}
+
+initReportPage().catch(e => showError(`Failed to load report: ${e.message}`));
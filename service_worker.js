@@ -5,16 +5,26 @@
  * Handles:
  *  - CDP attach/detach via chrome.debugger
  *  - Network event aggregation
- *  - Optional CDP Tracing capture
+ *  - Optional CDP Tracing capture and main-thread analysis
  *  - Message passing with popup and content script
- *  - Persisting run history via chrome.storage.local
+ *  - Scheduled monitoring of a URL list via chrome.alarms
  */
 
-"use strict";
+import {
+  buildRunReport,
+  aggregateReports,
+  saveReport,
+  loadBudget,
+  loadFirstPartyDomains,
+  loadMonitorConfig,
+  loadMonitorStatus,
+  saveMonitorStatus,
+} from "./report.js";
 
 // ── In-memory session state ────────────────────────────────────────────────────
 
 const sessions = new Map(); // tabId → SessionState
+const batches = new Map();  // tabId → BatchState (multi-run mode)
 
 function createSession(tabId) {
   return {
@@ -22,16 +32,38 @@ function createSession(tabId) {
     startTime: Date.now(),
     coldLoad: false,
     traceEnabled: false,
+    profileEnabled: false,
+    coverageEnabled: false,
+    jsCoverage: false,      // which halves of coverage actually started
+    cssCoverage: false,
+    throttling: null,       // resolved profile from resolveThrottling(), or null
     // Network aggregation
     requestsTotal: 0,
     transferredBytes: 0,
     cacheHits: 0,
     failures: [],
     domainMap: new Map(),   // domain → { requests, bytes }
-    requestMap: new Map(),  // requestId → { url, domain, type, startMs }
+    requestMap: new Map(),  // requestId (sessionId:requestId in OOPIFs) → { url, domain, type, startMs }
+    redirects: [],          // superseded redirect hops (kept for HAR export)
+    // Frames: CDP frameId → document URL, and the frameIds of out-of-process
+    // iframes attached through Target.setAutoAttach
+    frameUrls: new Map(),
+    oopifFrames: new Set(),
+    // *ExtraInfo events can arrive before their base event; park them here
+    pendingRequestHeaders: new Map(),   // requestId → raw request headers
+    pendingResponseHeaders: new Map(),  // requestId → { headers, headersSize } of the raw response
+    // Load / quiet-period tracking (used by batch mode)
+    loadFired: false,
+    lastNetworkActivity: Date.now(),
     // Tracing
     traceChunks: [],
     traceSize: 0,
+    onTracingComplete: null,  // resolver set while waiting for Tracing.end
+    // Coverage: styleSheetId → header from CSS.styleSheetAdded
+    styleSheets: new Map(),
+    // Runtime metrics: Performance.getMetrics samples, taken every RUNTIME_SAMPLE_MS
+    runtimeSamples: [],
+    runtimeTimer: null,
   };
 }
 
@@ -45,39 +77,110 @@ chrome.debugger.onEvent.addListener((source, method, params) => {
   const session = getSession(source.tabId);
   if (!session) return;
 
+  // Events from child sessions come from out-of-process iframes; only their
+  // network events are aggregated
+  const childSession = source.sessionId ?? null;
+  if (childSession && !method.startsWith("Network.") && !method.startsWith("Target.")) return;
+  // requestIds are only unique within one target
+  const key = (requestId) => (childSession ? `${childSession}:${requestId}` : requestId);
+
+  if (method.startsWith("Network.")) session.lastNetworkActivity = Date.now();
+
   switch (method) {
     case "Network.requestWillBeSent": {
-      const { requestId, request, initiator, timestamp } = params;
+      const { requestId, request, initiator, timestamp, wallTime, redirectResponse } = params;
+
+      // A redirect reuses the requestId: close out the previous hop first
+      const prev = session.requestMap.get(key(requestId));
+      if (prev && redirectResponse) {
+        applyResponse(prev, redirectResponse);
+        prev.redirectURL = request.url;
+        prev.endTimestamp = timestamp ?? null;
+        session.redirects.push(prev);
+      }
+
       const domain = domainOf(request.url);
       session.requestsTotal++;
-      session.requestMap.set(requestId, {
+      session.requestMap.set(key(requestId), {
         url: request.url,
         domain,
         type: initiator?.type ?? "other",
+        initiatorUrl: initiatorUrlOf(initiator),  // document, script or stylesheet that discovered it
         resourceType: params.type ?? null,  // CDP resource type (Script, Stylesheet, Image…)
         startMs: Date.now(),
         startTimestamp: timestamp ?? null,  // CDP MonotonicTime (seconds)
+        wallTime: wallTime ?? null,         // epoch seconds, for HAR startedDateTime
+        method: request.method,
+        requestHeaders: session.pendingRequestHeaders.get(key(requestId)) ?? request.headers ?? {},
+        postData: request.postData ?? null,
+        hasPostData: !!request.hasPostData,  // also set when the body was too large to include
+        priority: request.initialPriority ?? null,
+        frameId: params.frameId ?? null,    // CDP frame id, for the per-frame breakdown
+        decodedBytes: 0,
       });
+      if (params.type === "Document" && params.frameId) {
+        session.frameUrls.set(params.frameId, request.url);
+      }
+      session.pendingRequestHeaders.delete(key(requestId));
+      break;
+    }
+
+    case "Network.requestWillBeSentExtraInfo": {
+      // Raw on-the-wire headers (including cookies) supersede the sanitized ones
+      const { requestId, headers } = params;
+      const req = session.requestMap.get(key(requestId));
+      if (req) req.requestHeaders = headers;
+      else session.pendingRequestHeaders.set(key(requestId), headers);
       break;
     }
 
     case "Network.responseReceived": {
       const { requestId, response } = params;
-      const req = session.requestMap.get(requestId);
+      const req = session.requestMap.get(key(requestId));
       if (req) {
         const cached = response.fromDiskCache || response.fromPrefetchCache || response.fromServiceWorker;
         if (cached) session.cacheHits++;
-        req.fromCache = !!cached;
-        req.mimeType = response.mimeType ?? "";
-        req.status = response.status;
-        req.timing = response.timing ?? null;
+        applyResponse(req, response);
+        const raw = session.pendingResponseHeaders.get(key(requestId));
+        if (raw) {
+          req.responseHeaders = raw.headers;
+          req.responseHeadersSize = raw.headersSize;
+        }
+        session.pendingResponseHeaders.delete(key(requestId));
       }
       break;
     }
 
+    case "Network.responseReceivedExtraInfo": {
+      // headersText is only sent for HTTP/1.x; it gives the header bytes
+      // within encodedDataLength
+      const { requestId, headers, headersText } = params;
+      const headersSize = headersText?.length ?? null;
+      const req = session.requestMap.get(key(requestId));
+      if (req && req.status != null) {
+        req.responseHeaders = headers;
+        req.responseHeadersSize = headersSize;
+      } else {
+        session.pendingResponseHeaders.set(key(requestId), { headers, headersSize });
+      }
+      break;
+    }
+
+    case "Network.requestServedFromCache": {
+      const req = session.requestMap.get(key(params.requestId));
+      if (req) req.cacheSource = "memory";
+      break;
+    }
+
+    case "Network.dataReceived": {
+      const req = session.requestMap.get(key(params.requestId));
+      if (req) req.decodedBytes += params.dataLength || 0;
+      break;
+    }
+
     case "Network.loadingFinished": {
       const { requestId, encodedDataLength, timestamp } = params;
-      const req = session.requestMap.get(requestId);
+      const req = session.requestMap.get(key(requestId));
       if (req) {
         const bytes = encodedDataLength || 0;
         session.transferredBytes += bytes;
@@ -89,6 +192,7 @@ chrome.debugger.onEvent.addListener((source, method, params) => {
         d.requests++;
         d.bytes += bytes;
         req.transferBytes = bytes;
+        req.endTimestamp = timestamp ?? null;
         // Prefer CDP MonotonicTime delta for accuracy; fall back to Date.now() delta
         req.durationMs = (timestamp != null && req.startTimestamp != null)
           ? (timestamp - req.startTimestamp) * 1000
@@ -98,9 +202,11 @@ chrome.debugger.onEvent.addListener((source, method, params) => {
     }
 
     case "Network.loadingFailed": {
-      const { requestId, errorText, type } = params;
-      const req = session.requestMap.get(requestId);
+      const { requestId, errorText, type, timestamp } = params;
+      const req = session.requestMap.get(key(requestId));
       if (req) {
+        req.errorText = errorText ?? "unknown";
+        req.endTimestamp = timestamp ?? null;
         session.failures.push({
           url: req.url,
           errorText: errorText ?? "unknown",
@@ -120,7 +226,45 @@ chrome.debugger.onEvent.addListener((source, method, params) => {
     }
 
     case "Tracing.tracingComplete": {
-      // Tracing finished
+      // Tracing finished – all dataCollected events have been delivered
+      if (session.onTracingComplete) session.onTracingComplete();
+      break;
+    }
+
+    case "CSS.styleSheetAdded": {
+      const { header } = params;
+      if (session.coverageEnabled && header.origin === "regular") {
+        session.styleSheets.set(header.styleSheetId, header);
+      }
+      break;
+    }
+
+    case "CSS.styleSheetRemoved": {
+      session.styleSheets.delete(params.styleSheetId);
+      break;
+    }
+
+    case "Page.loadEventFired": {
+      session.loadFired = true;
+      break;
+    }
+
+    case "Page.frameNavigated": {
+      // The top frame loaded a new document: unless it is the cold-load
+      // reload we triggered, the measured page is gone. Client-side route
+      // changes (history.pushState) are Page.navigatedWithinDocument and
+      // stay in the session.
+      if (!params.frame.parentId && !session.coldLoad) {
+        detachDebugger(source.tabId).catch(() => {});
+        sessions.delete(source.tabId);
+      }
+      break;
+    }
+
+    case "Target.attachedToTarget": {
+      attachChildTarget(session, params).catch((e) => {
+        console.warn("Child target setup failed:", e.message);
+      });
       break;
     }
   }
@@ -140,16 +284,40 @@ chrome.tabs.onRemoved.addListener((tabId) => {
 });
 
 chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
-  // If the tab navigates away (not a cold-load reload we triggered), clean up
-  if (changeInfo.status === "loading" && sessions.has(tabId)) {
-    const session = sessions.get(tabId);
-    if (!session.coldLoad) {
-      detachDebugger(tabId).catch(() => {});
-      sessions.delete(tabId);
-    }
+  // Backup load signal for when the reload fell back to chrome.tabs.reload
+  if (changeInfo.status === "complete" && sessions.has(tabId)) {
+    sessions.get(tabId).loadFired = true;
   }
 });
 
+// URL of the resource that caused a request: the parsed document or
+// stylesheet, or the nearest script frame on the initiator stack
+function initiatorUrlOf(initiator) {
+  if (!initiator) return null;
+  if (initiator.url) return initiator.url;
+  for (let stack = initiator.stack; stack; stack = stack.parent) {
+    const frame = stack.callFrames.find((f) => f.url);
+    if (frame) return frame.url;
+  }
+  return null;
+}
+
+// Copy the fields of a CDP Network.Response onto a tracked request
+function applyResponse(req, response) {
+  const cached = response.fromDiskCache || response.fromPrefetchCache || response.fromServiceWorker;
+  req.fromCache = !!cached || req.cacheSource === "memory";
+  if (response.fromDiskCache) req.cacheSource = "disk";
+  else if (response.fromPrefetchCache) req.cacheSource = "prefetch";
+  else if (response.fromServiceWorker) req.cacheSource = "serviceWorker";
+  req.mimeType = response.mimeType ?? "";
+  req.status = response.status;
+  req.statusText = response.statusText ?? "";
+  req.protocol = response.protocol ?? null;
+  req.remoteIPAddress = response.remoteIPAddress ?? null;
+  req.responseHeaders = response.headers ?? {};
+  req.timing = response.timing ?? null;
+}
+
 // ── Helper: domain extraction ──────────────────────────────────────────────────
 
 function domainOf(url) {
@@ -157,6 +325,11 @@ function domainOf(url) {
   catch (_) { return null; }
 }
 
+function originOf(url) {
+  try { return new URL(url).origin; }
+  catch (_) { return null; }
+}
+
 // ── Helper: consistent tab getter (avoids relying on promise-ified callback) ──
 
 function getTab(tabId) {
@@ -193,11 +366,63 @@ function classifyResourceType(resourceType, mimeType) {
   return "other";
 }
 
+// ── Throttling profiles ────────────────────────────────────────────────────────
+
+// Network values match the Lighthouse / DevTools presets. Throughput is given in
+// Kbps here and converted to bytes/sec for Network.emulateNetworkConditions.
+const THROTTLING_PROFILES = {
+  "slow-4g": { label: "Slow 4G + 4x CPU", cpuRate: 4, latencyMs: 150,   downloadKbps: 1638.4, uploadKbps: 750 },
+  "fast-3g": { label: "Fast 3G + 6x CPU", cpuRate: 6, latencyMs: 562.5, downloadKbps: 1440,   uploadKbps: 675 },
+};
+
+/**
+ * Normalise a throttling request from the popup into a concrete profile.
+ * Returns null when no throttling should be applied.
+ */
+function resolveThrottling(throttling) {
+  if (!throttling || !throttling.profile || throttling.profile === "none") return null;
+
+  if (throttling.profile === "custom") {
+    const num = (v, min) => {
+      const n = Number(v);
+      return Number.isFinite(n) && n >= min ? n : null;
+    };
+    const custom = {
+      cpuRate:      num(throttling.cpuRate, 1) ?? 1,
+      latencyMs:    num(throttling.latencyMs, 0) ?? 0,
+      downloadKbps: num(throttling.downloadKbps, 0) ?? 0,  // 0 = unthrottled
+      uploadKbps:   num(throttling.uploadKbps, 0) ?? 0,
+    };
+    return {
+      profile: "custom",
+      label: `Custom (${custom.cpuRate}x CPU, ${custom.latencyMs}ms RTT, ${custom.downloadKbps || "∞"}/${custom.uploadKbps || "∞"} Kbps)`,
+      ...custom,
+    };
+  }
+
+  const preset = THROTTLING_PROFILES[throttling.profile];
+  if (!preset) throw new Error(`Unknown throttling profile: ${throttling.profile}`);
+  return { profile: throttling.profile, ...preset };
+}
+
+async function applyThrottling(tabId, t, sessionId = null) {
+  const kbpsToBytes = (kbps) => (kbps > 0 ? (kbps * 1024) / 8 : -1); // -1 disables the limit
+  await cdpSend(tabId, "Network.emulateNetworkConditions", {
+    offline: false,
+    latency: t.latencyMs,
+    downloadThroughput: kbpsToBytes(t.downloadKbps),
+    uploadThroughput: kbpsToBytes(t.uploadKbps),
+  }, sessionId);
+  await cdpSend(tabId, "Emulation.setCPUThrottlingRate", { rate: t.cpuRate }, sessionId);
+}
+
 // ── CDP helpers ────────────────────────────────────────────────────────────────
 
-function cdpSend(tabId, method, params = {}) {
+// sessionId targets a child session (an out-of-process iframe) of the tab
+function cdpSend(tabId, method, params = {}, sessionId = null) {
   return new Promise((resolve, reject) => {
-    chrome.debugger.sendCommand({ tabId }, method, params, (result) => {
+    const target = sessionId ? { tabId, sessionId } : { tabId };
+    chrome.debugger.sendCommand(target, method, params, (result) => {
       if (chrome.runtime.lastError) reject(new Error(chrome.runtime.lastError.message));
       else resolve(result);
     });
@@ -224,9 +449,11 @@ async function detachDebugger(tabId) {
 
 // ── Content script messaging ────────────────────────────────────────────────────
 
-function sendToTab(tabId, msg) {
+// Without options.frameId the message goes to every frame and the first
+// response wins, so metric requests must name their frame
+function sendToTab(tabId, msg, options = {}) {
   return new Promise((resolve) => {
-    chrome.tabs.sendMessage(tabId, msg, (response) => {
+    chrome.tabs.sendMessage(tabId, msg, options, (response) => {
       if (chrome.runtime.lastError) resolve(null);
       else resolve(response);
     });
@@ -236,7 +463,7 @@ function sendToTab(tabId, msg) {
 // Ensure content script is injected before sending messages
 async function ensureContentScript(tabId) {
   // Try pinging first
-  const ping = await sendToTab(tabId, { type: "GET_METRICS" });
+  const ping = await sendToTab(tabId, { type: "GET_METRICS" }, { frameId: 0 });
   if (ping && ping.ok) return; // already injected
   // Inject
   try {
@@ -249,13 +476,981 @@ async function ensureContentScript(tabId) {
   }
 }
 
+// ── Frames ─────────────────────────────────────────────────────────────────────
+
+const NETWORK_ENABLE_PARAMS = {
+  maxPostDataSize: 65536,   // larger request bodies are left out of the HAR
+  maxResourceBufferSize: 0,
+  maxTotalBufferSize: 0,
+};
+
+// New targets pause until runIfWaitingForDebugger, so their first requests
+// are not missed
+const AUTO_ATTACH_PARAMS = { autoAttach: true, waitForDebuggerOnStart: true, flatten: true };
+
+// Give content scripts started late a moment to receive buffered entries
+const FRAME_OBSERVER_SETTLE_MS = 100;
+
+// Set up a target auto-attached to the tab. Out-of-process iframes get
+// network capture and the session's throttling; anything else (workers) is
+// just resumed.
+async function attachChildTarget(session, { sessionId, targetInfo, waitingForDebugger }) {
+  const { tabId } = session;
+  try {
+    if (targetInfo.type === "iframe") {
+      // An OOPIF's target id is the frame id of its document
+      session.oopifFrames.add(targetInfo.targetId);
+      session.frameUrls.set(targetInfo.targetId, targetInfo.url);
+      await cdpSend(tabId, "Network.enable", NETWORK_ENABLE_PARAMS, sessionId);
+      if (session.throttling) await applyThrottling(tabId, session.throttling, sessionId);
+      // Nested OOPIFs attach through this child's own session
+      await cdpSend(tabId, "Target.setAutoAttach", AUTO_ATTACH_PARAMS, sessionId);
+    }
+  } finally {
+    if (waitingForDebugger) {
+      await cdpSend(tabId, "Runtime.runIfWaitingForDebugger", {}, sessionId).catch(() => {});
+    }
+  }
+}
+
+// Metrics from the content script of every child frame. Frames that loaded
+// after START_OBSERVERS (all of them on a cold load) start observing now;
+// the observers are buffered, so they still see the frame's whole lifetime.
+async function collectChildFrameMetrics(tabId) {
+  let frames = [];
+  try {
+    frames = await chrome.scripting.executeScript({
+      target: { tabId, allFrames: true },
+      func: () => location.href,
+    });
+  } catch (_) {
+    return [];
+  }
+  const children = frames.filter((f) => f.frameId !== 0);
+  if (children.length === 0) return [];
+
+  await sendToTab(tabId, { type: "START_OBSERVERS" });
+  await sleep(FRAME_OBSERVER_SETTLE_MS);
+  const results = await Promise.all(children.map(async (f) => {
+    const resp = await sendToTab(tabId, { type: "GET_METRICS" }, { frameId: f.frameId });
+    return resp && resp.ok ? { url: f.result, metrics: resp.metrics } : null;
+  }));
+  return results.filter(Boolean);
+}
+
+// Per-frame layout shifts, long tasks and bytes. Content-script frames and
+// CDP frames have unrelated ids, so they are joined by document URL.
+function buildFrameBreakdown(session, frameTree, pageUrl, pageMetrics, childFrames) {
+  const urls = new Map(session.frameUrls);
+  (function walk(node) {
+    if (!node) return;
+    urls.set(node.frame.id, node.frame.url);
+    (node.childFrames ?? []).forEach(walk);
+  })(frameTree);
+  const mainFrameId = frameTree?.frame.id ?? null;
+
+  const net = new Map(); // CDP frameId → { requests, bytes }
+  for (const req of session.requestMap.values()) {
+    if (!req.frameId) continue;
+    if (!net.has(req.frameId)) net.set(req.frameId, { requests: 0, bytes: 0 });
+    const n = net.get(req.frameId);
+    n.requests++;
+    n.bytes += req.transferBytes || 0;
+  }
+
+  const row = (url, metrics) => ({
+    url,
+    main: false,
+    outOfProcess: false,
+    cls: metrics ? metrics.cls ?? 0 : null,
+    shiftCount: metrics ? metrics.layoutShifts?.shiftCount ?? 0 : null,
+    longTasks: metrics
+      ? { count: metrics.longTaskCount ?? 0, totalMs: metrics.longTaskTotal ?? 0 }
+      : null,
+    requests: 0,
+    transferredBytes: 0,
+  });
+
+  const main = { ...row(pageUrl, pageMetrics), main: true };
+  const mainNet = net.get(mainFrameId);
+  if (mainNet) {
+    main.requests = mainNet.requests;
+    main.transferredBytes = mainNet.bytes;
+  }
+
+  const children = childFrames.map((f) => row(f.url, f.metrics));
+  const matched = new Set();
+  for (const [frameId, n] of net) {
+    if (frameId === mainFrameId) continue;
+    const url = urls.get(frameId) ?? null;
+    let r = children.find((c) => c.url === url && !matched.has(c));
+    if (!r) {
+      // No content script answered for it (e.g. a sandboxed or about: frame)
+      r = row(url, null);
+      children.push(r);
+    }
+    matched.add(r);
+    r.outOfProcess = session.oopifFrames.has(frameId);
+    r.requests += n.requests;
+    r.transferredBytes += n.bytes;
+  }
+
+  children.sort((a, b) => b.transferredBytes - a.transferredBytes);
+  return [main, ...children];
+}
+
+// ── HAR export ─────────────────────────────────────────────────────────────────
+
+function harHeaders(headers) {
+  // CDP joins repeated headers (e.g. Set-Cookie) with newlines
+  return Object.entries(headers ?? {}).flatMap(([name, value]) =>
+    String(value).split("\n").map((v) => ({ name, value: v }))
+  );
+}
+
+function harQueryString(url) {
+  try {
+    return Array.from(new URL(url).searchParams, ([name, value]) => ({ name, value }));
+  } catch (_) {
+    return [];
+  }
+}
+
+function headerValue(headers, name) {
+  const key = Object.keys(headers ?? {}).find((k) => k.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
+
+// HAR timing phases from a CDP ResourceTiming. CDP phase offsets are ms
+// relative to timing.requestTime (seconds); -1 marks a phase that did not happen.
+function harTimings(req) {
+  const t = req.timing;
+  const end = req.endTimestamp;
+  if (!t) {
+    // Memory-cache hits and early failures carry no timing breakdown
+    const total = end != null && req.startTimestamp != null
+      ? Math.max(0, (end - req.startTimestamp) * 1000)
+      : 0;
+    return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: total, receive: 0 };
+  }
+  const phase = (start, stop) => (start >= 0 && stop >= 0 ? stop - start : -1);
+  const queued = req.startTimestamp != null ? Math.max(0, (t.requestTime - req.startTimestamp) * 1000) : 0;
+  const firstPhase = [t.dnsStart, t.connectStart, t.sendStart].find((v) => v >= 0) ?? 0;
+  return {
+    blocked: queued + firstPhase,
+    dns: phase(t.dnsStart, t.dnsEnd),
+    connect: phase(t.connectStart, t.connectEnd),
+    ssl: phase(t.sslStart, t.sslEnd),
+    send: Math.max(0, t.sendEnd - t.sendStart),
+    wait: Math.max(0, t.receiveHeadersEnd - t.sendEnd),
+    receive: end != null ? Math.max(0, (end - t.requestTime) * 1000 - t.receiveHeadersEnd) : 0,
+  };
+}
+
+function harEntry(req) {
+  const timings = harTimings(req);
+  // `ssl` is already included in `connect`, so it is left out of the total
+  const time = ["blocked", "dns", "connect", "send", "wait", "receive"]
+    .reduce((sum, k) => sum + Math.max(0, timings[k]), 0);
+  // CDP's encodedDataLength is the on-the-wire size, headers included; the
+  // body is the rest when the header size is known (HTTP/1.x), else unknown
+  const headersSize = req.responseHeadersSize ?? -1;
+  let bodySize = -1;
+  if (req.fromCache) bodySize = 0;
+  else if (req.transferBytes != null && headersSize >= 0) bodySize = Math.max(0, req.transferBytes - headersSize);
+
+  const entry = {
+    pageref: "page_1",
+    startedDateTime: new Date(req.wallTime * 1000).toISOString(),
+    time,
+    request: {
+      method: req.method ?? "GET",
+      url: req.url,
+      httpVersion: req.protocol ?? "",
+      cookies: [],
+      headers: harHeaders(req.requestHeaders),
+      queryString: harQueryString(req.url),
+      headersSize: -1,
+      // -1 (unknown) for a body over maxPostDataSize
+      bodySize: req.postData ? req.postData.length : req.hasPostData ? -1 : 0,
+    },
+    response: {
+      status: req.status ?? 0,
+      statusText: req.statusText ?? "",
+      httpVersion: req.protocol ?? "",
+      cookies: [],
+      headers: harHeaders(req.responseHeaders),
+      content: { size: req.decodedBytes ?? 0, mimeType: req.mimeType ?? "" },
+      redirectURL: req.redirectURL ?? "",
+      headersSize,
+      bodySize,
+      _transferSize: req.transferBytes ?? 0,
+    },
+    cache: {},
+    timings,
+    _resourceType: (req.resourceType ?? "other").toLowerCase(),
+    _priority: req.priority,
+  };
+  if (req.postData) {
+    entry.request.postData = {
+      mimeType: headerValue(req.requestHeaders, "content-type") ?? "",
+      text: req.postData,
+    };
+  }
+  if (req.remoteIPAddress) entry.serverIPAddress = req.remoteIPAddress;
+  if (req.cacheSource) entry._fromCache = req.cacheSource;
+  if (req.errorText) entry.response._error = req.errorText;
+  return entry;
+}
+
+/**
+ * Build a HAR 1.2 log of every request seen during the session, redirect hops
+ * included. Requests that never started on the wire (no wallTime) are skipped.
+ */
+function buildHar(session, pageUrl, pageMetrics) {
+  const requests = [...session.redirects, ...session.requestMap.values()]
+    .filter((r) => r.wallTime != null)
+    .sort((a, b) => a.wallTime - b.wallTime);
+  const entries = requests.map(harEntry);
+
+  return {
+    log: {
+      version: "1.2",
+      creator: { name: "Performance Checker", version: chrome.runtime.getManifest().version },
+      pages: [{
+        startedDateTime: entries[0]?.startedDateTime ?? new Date(session.startTime).toISOString(),
+        id: "page_1",
+        title: pageUrl,
+        pageTimings: {
+          onContentLoad: pageMetrics.dcl ?? -1,
+          onLoad: pageMetrics.load ?? -1,
+        },
+      }],
+      entries,
+    },
+  };
+}
+
+// ── Waterfall ──────────────────────────────────────────────────────────────────
+
+/**
+ * One row per request (redirect hops included) for the popup waterfall, with
+ * start times in ms since the page's performance.timeOrigin so they line up
+ * with FCP / LCP / DCL / load. Phases are the HAR timings (-1 = not applicable).
+ */
+function buildWaterfall(session, timeOrigin) {
+  const requests = [...session.redirects, ...session.requestMap.values()]
+    .filter((r) => r.wallTime != null)
+    .sort((a, b) => a.wallTime - b.wallTime);
+  if (requests.length === 0) return [];
+  // Without a content script, the first request stands in for navigation start
+  const origin = timeOrigin ?? requests[0].wallTime * 1000;
+
+  return requests.map((req) => {
+    const phases = harTimings(req);
+    return {
+      url: req.url,
+      domain: req.domain,
+      type: classifyResourceType(req.resourceType, req.mimeType),
+      status: req.status ?? null,
+      fromCache: req.fromCache ?? false,
+      failed: !!req.errorText,
+      redirect: !!req.redirectURL,
+      priority: req.priority,
+      initiatorType: req.type,
+      initiatorUrl: req.initiatorUrl ?? null,
+      startMs: req.wallTime * 1000 - origin,
+      // `ssl` is part of `connect`, so it is left out of the total
+      totalMs: ["blocked", "dns", "connect", "send", "wait", "receive"]
+        .reduce((sum, k) => sum + Math.max(0, phases[k]), 0),
+      phases,
+      transferBytes: req.transferBytes ?? 0,
+    };
+  });
+}
+
+// ── Render-blocking resources ──────────────────────────────────────────────────
+
+// CDP does not flag render-blocking requests, so they are recognised the way
+// Chrome prioritises them: parser-inserted stylesheets load at VeryHigh and
+// synchronous parser-inserted scripts at High or above, while async, defer
+// and media-specific resources load lower.
+function isRenderBlockingGuess(row) {
+  if (row.initiatorType !== "parser" || row.redirect) return false;
+  if (row.type === "css") return row.priority === "VeryHigh";
+  if (row.type === "script") return row.priority === "VeryHigh" || row.priority === "High";
+  return false;
+}
+
+// Length of the union of [start, end] intervals
+function unionMs(intervals) {
+  let total = 0;
+  let reach = -Infinity;
+  for (const [start, end] of [...intervals].sort((a, b) => a[0] - b[0])) {
+    if (end <= reach) continue;
+    total += end - Math.max(start, reach);
+    reach = end;
+  }
+  return total;
+}
+
+/**
+ * Flag render-blocking rows of the waterfall and estimate what they cost FCP.
+ * The page's Resource Timing renderBlockingStatus (Chrome 107+) is used when
+ * available, the priority heuristic otherwise. A resource costs FCP the part
+ * of its load between the document's first byte and FCP; parallel loads
+ * overlap, so the page-level estimate is the union of those intervals.
+ */
+function buildRenderBlocking(rows, pageMetrics) {
+  const reported = pageMetrics.renderBlockingUrls ? new Set(pageMetrics.renderBlockingUrls) : null;
+  const fcp = pageMetrics.fcp ?? null;
+  const ttfb = pageMetrics.ttfb ?? 0;
+
+  const resources = [];
+  for (const row of rows) {
+    row.renderBlocking = reported ? reported.has(row.url) && !row.redirect : isRenderBlockingGuess(row);
+    if (!row.renderBlocking) continue;
+    const endMs = row.startMs + row.totalMs;
+    const costStart = Math.max(row.startMs, ttfb);
+    const costEnd = fcp != null ? Math.min(endMs, fcp) : endMs;
+    resources.push({
+      url: row.url,
+      type: row.type,
+      startMs: row.startMs,
+      durationMs: row.totalMs,
+      transferBytes: row.transferBytes,
+      fcpCostMs: Math.max(0, costEnd - costStart),
+      interval: [costStart, Math.max(costStart, costEnd)],
+    });
+  }
+  if (resources.length === 0) return null;
+
+  const delayOf = (list) => Math.round(unionMs(list.map((r) => r.interval)));
+  const byType = {};
+  for (const type of new Set(resources.map((r) => r.type))) {
+    const list = resources.filter((r) => r.type === type);
+    byType[type] = { count: list.length, fcpDelayMs: delayOf(list) };
+  }
+
+  return {
+    source: reported ? "resource-timing" : "priority-heuristic",
+    fcpDelayMs: delayOf(resources),
+    byType,
+    resources: resources
+      .map(({ interval: _interval, ...r }) => r)
+      .sort((a, b) => b.fcpCostMs - a.fcpCostMs),
+  };
+}
+
+// ── Critical request chains ────────────────────────────────────────────────────
+
+const MAX_LATE_FONT_CHAINS = 3;
+
+/**
+ * Follow the initiator of each request back to the document, for the LCP
+ * resource and for fonts that finished after FCP. Each chain lists its
+ * requests root first; `discoveryMs` is the gap between a request's
+ * initiator finishing and the request starting.
+ */
+function buildCriticalChains(rows, pageMetrics) {
+  // A URL's first final hop is its node; redirect hops only lead to it
+  const byUrl = new Map();
+  for (const row of rows) {
+    if (!row.redirect && !byUrl.has(row.url)) byUrl.set(row.url, row);
+  }
+
+  const chainTo = (target) => {
+    const steps = [];
+    const seen = new Set();
+    for (let row = target; row && !seen.has(row); row = byUrl.get(row.initiatorUrl)) {
+      seen.add(row);
+      steps.unshift(row);
+    }
+    return steps.map((row, i) => {
+      const parent = steps[i - 1];
+      return {
+        url: row.url,
+        type: row.type,
+        initiatorType: row.initiatorType,
+        startMs: row.startMs,
+        endMs: row.startMs + row.totalMs,
+        discoveryMs: parent ? Math.max(0, row.startMs - (parent.startMs + parent.totalMs)) : 0,
+      };
+    });
+  };
+  const chain = (kind, target) => {
+    const steps = chainTo(target);
+    return {
+      kind,
+      url: target.url,
+      depth: steps.length,
+      totalMs: steps[steps.length - 1].endMs - steps[0].startMs,
+      steps,
+    };
+  };
+
+  const chains = [];
+  const lcpUrl = pageMetrics.lcpElement?.url;
+  if (lcpUrl && byUrl.has(lcpUrl)) chains.push(chain("lcp", byUrl.get(lcpUrl)));
+
+  const fcp = pageMetrics.fcp;
+  if (fcp != null) {
+    [...byUrl.values()]
+      .filter((r) => r.type === "font" && r.startMs + r.totalMs > fcp)
+      .sort((a, b) => b.startMs + b.totalMs - (a.startMs + a.totalMs))
+      .slice(0, MAX_LATE_FONT_CHAINS)
+      .forEach((r) => chains.push(chain("font", r)));
+  }
+  return chains;
+}
+
+// ── Third-party entities ───────────────────────────────────────────────────────
+
+// Two-label public suffixes under which sites register a third label
+const SECOND_LEVEL_SUFFIXES = new Set([
+  "co.uk", "org.uk", "ac.uk", "gov.uk", "com.au", "net.au", "org.au", "co.nz",
+  "co.jp", "ne.jp", "or.jp", "co.kr", "co.in", "com.br", "com.mx", "com.ar",
+  "com.cn", "com.tw", "com.hk", "com.sg", "co.za", "com.tr",
+]);
+
+let entitiesPromise = null;
+
+// domain → { name, category } from the bundled entities.json
+function loadEntities() {
+  entitiesPromise ??= fetch(chrome.runtime.getURL("entities.json"))
+    .then((r) => r.json())
+    .then((list) => {
+      const map = new Map();
+      for (const entity of list) {
+        for (const domain of entity.domains) map.set(domain, { name: entity.name, category: entity.category });
+      }
+      return map;
+    })
+    .catch((e) => {
+      console.warn("Entity database unavailable:", e.message);
+      entitiesPromise = null;
+      return new Map();
+    });
+  return entitiesPromise;
+}
+
+// Registrable domain ("eTLD+1"), approximated with a short suffix list
+function rootDomainOf(host) {
+  if (/^[\d.]+$/.test(host) || host.includes(":")) return host; // IP address
+  const labels = host.split(".");
+  const n = SECOND_LEVEL_SUFFIXES.has(labels.slice(-2).join(".")) ? 3 : 2;
+  return labels.slice(-n).join(".");
+}
+
+// Does host equal suffix or sit below it?
+function matchesDomain(host, suffix) {
+  return host === suffix || host.endsWith("." + suffix);
+}
+
+function entityOf(host, entities) {
+  for (let d = host; d; ) {
+    if (entities.has(d)) return entities.get(d);
+    const dot = d.indexOf(".");
+    d = dot >= 0 ? d.slice(dot + 1) : "";
+  }
+  return null;
+}
+
+/**
+ * Classify every request domain as first or third party and group them into
+ * entities. A domain is first-party when it shares the page's registrable
+ * domain, matches one of the origin's configured first-party domains, or
+ * belongs to the same known entity as the page. Unknown third parties are
+ * grouped by registrable domain.
+ */
+function classifyDomains(domainList, pageHost, entities, firstPartyDomains) {
+  const pageRoot = pageHost ? rootDomainOf(pageHost) : null;
+  const pageEntity = pageHost ? entityOf(pageHost, entities) : null;
+
+  const info = new Map(); // domain → { entity, category, known, firstParty }
+  for (const { domain } of domainList) {
+    const known = entityOf(domain, entities);
+    const firstParty = !pageHost || domain === "unknown"
+      ? true
+      : rootDomainOf(domain) === pageRoot ||
+        firstPartyDomains.some((d) => matchesDomain(domain, d)) ||
+        (pageEntity != null && known?.name === pageEntity.name);
+    info.set(domain, firstParty
+      ? { entity: pageEntity?.name ?? pageRoot ?? domain, category: "first-party", known: true, firstParty }
+      : { entity: known?.name ?? rootDomainOf(domain), category: known?.category ?? "other", known: !!known, firstParty });
+  }
+  return info;
+}
+
+// Requests, bytes and (with a trace) scripting time per entity
+function buildEntitySummary(domainList, info, analysis) {
+  const entities = new Map();
+  for (const d of domainList) {
+    const { entity, category, known, firstParty } = info.get(d.domain);
+    if (!entities.has(entity)) {
+      entities.set(entity, {
+        name: entity,
+        category,
+        known,
+        firstParty,
+        domains: [],
+        requests: 0,
+        bytes: 0,
+        mainThreadMs: analysis ? 0 : null,
+      });
+    }
+    const e = entities.get(entity);
+    e.domains.push(d.domain);
+    e.requests += d.requests;
+    e.bytes += d.bytes;
+    if (analysis) e.mainThreadMs += analysis.scriptingByDomain?.[d.domain] ?? 0;
+  }
+  return [...entities.values()].sort((a, b) => b.bytes - a.bytes);
+}
+
+// ── Code coverage ──────────────────────────────────────────────────────────────
+
+// Sort and merge [start, end) ranges, joining ones that touch or overlap
+function mergeRanges(ranges) {
+  const sorted = ranges.filter((r) => r.end > r.start).sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const r of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && r.start <= last.end) last.end = Math.max(last.end, r.end);
+    else merged.push({ start: r.start, end: r.end });
+  }
+  return merged;
+}
+
+// Flatten V8 block coverage into the byte ranges that executed. Ranges nest
+// (script → function → block) and the innermost range decides the count.
+function usedJsRanges(functions) {
+  const points = [];
+  for (const fn of functions) {
+    for (const range of fn.ranges) {
+      points.push({ offset: range.startOffset, start: true, range });
+      points.push({ offset: range.endOffset, start: false, range });
+    }
+  }
+  points.sort((a, b) => {
+    if (a.offset !== b.offset) return a.offset - b.offset;
+    if (a.start !== b.start) return a.start ? 1 : -1; // close before opening
+    const lenA = a.range.endOffset - a.range.startOffset;
+    const lenB = b.range.endOffset - b.range.startOffset;
+    return a.start ? lenB - lenA : lenA - lenB;     // outer opens first, closes last
+  });
+
+  const used = [];
+  const stack = [];
+  let lastOffset = 0;
+  for (const point of points) {
+    if (stack.length > 0 && lastOffset < point.offset && stack[stack.length - 1] > 0) {
+      used.push({ start: lastOffset, end: point.offset });
+    }
+    lastOffset = point.offset;
+    if (point.start) stack.push(point.range.count);
+    else stack.pop();
+  }
+  return mergeRanges(used);
+}
+
+function coverageRow(url, type, totalBytes, ranges) {
+  const usedBytes = Math.min(ranges.reduce((sum, r) => sum + r.end - r.start, 0), totalBytes);
+  return {
+    url,
+    type,
+    totalBytes,
+    usedBytes,
+    unusedBytes: totalBytes - usedBytes,
+    unusedPct: totalBytes > 0 ? Math.round(((totalBytes - usedBytes) / totalBytes) * 1000) / 10 : 0,
+  };
+}
+
+// Begin precise JS coverage and CSS rule-usage tracking on the top frame.
+// Either half may be unsupported; a run without coverage is still useful.
+async function startCoverage(tabId, session) {
+  // Set up front: CSS.enable replays styleSheetAdded for existing sheets
+  session.coverageEnabled = true;
+  try {
+    await cdpSend(tabId, "Profiler.enable");
+    await cdpSend(tabId, "Profiler.startPreciseCoverage", { callCount: false, detailed: true });
+    session.jsCoverage = true;
+  } catch (_) {}
+  try {
+    await cdpSend(tabId, "DOM.enable");
+    await cdpSend(tabId, "CSS.enable");
+    await cdpSend(tabId, "CSS.startRuleUsageTracking");
+    session.cssCoverage = true;
+  } catch (_) {}
+  session.coverageEnabled = session.jsCoverage || session.cssCoverage;
+}
+
+// Collect coverage while the debugger is still attached. Returns per-file
+// rows sorted by unused bytes, plus a DevTools/Puppeteer-format export
+// ([{ url, ranges: [{ start, end }], text }], used ranges only) for bundle
+// tooling. Extension scripts and anonymous eval'd code are skipped.
+async function collectCoverage(tabId, session) {
+  const files = [];
+  const exported = [];
+
+  if (session.jsCoverage) {
+    try {
+      const { result } = await cdpSend(tabId, "Profiler.takePreciseCoverage");
+      await cdpSend(tabId, "Profiler.stopPreciseCoverage");
+      // Script sources need the Debugger domain; never let it pause the page
+      await cdpSend(tabId, "Debugger.enable");
+      await cdpSend(tabId, "Debugger.setSkipAllPauses", { skip: true });
+      for (const script of result) {
+        if (!/^https?:/.test(script.url)) continue;
+        let text = null;
+        try {
+          ({ scriptSource: text } = await cdpSend(tabId, "Debugger.getScriptSource", { scriptId: script.scriptId }));
+        } catch (_) {}
+        // The outermost range spans the whole script
+        const totalBytes = text?.length
+          ?? Math.max(0, ...script.functions.flatMap((fn) => fn.ranges.map((r) => r.endOffset)));
+        const ranges = usedJsRanges(script.functions);
+        files.push(coverageRow(script.url, "js", totalBytes, ranges));
+        exported.push({ url: script.url, ranges, text });
+      }
+    } catch (e) {
+      console.warn("JS coverage failed:", e.message);
+    }
+  }
+
+  if (session.cssCoverage) {
+    try {
+      const { ruleUsage } = await cdpSend(tabId, "CSS.stopRuleUsageTracking");
+      const usedBySheet = new Map();
+      for (const rule of ruleUsage) {
+        if (!rule.used) continue;
+        if (!usedBySheet.has(rule.styleSheetId)) usedBySheet.set(rule.styleSheetId, []);
+        usedBySheet.get(rule.styleSheetId).push({ start: rule.startOffset, end: rule.endOffset });
+      }
+      for (const [id, header] of session.styleSheets) {
+        let text;
+        try {
+          ({ text } = await cdpSend(tabId, "CSS.getStyleSheetText", { styleSheetId: id }));
+        } catch (_) {
+          continue; // sheet belonged to a document replaced by the cold reload
+        }
+        const totalBytes = text.length;
+        if (totalBytes === 0) continue;
+        const url = header.sourceURL || "(constructed stylesheet)";
+        const ranges = mergeRanges(usedBySheet.get(id) ?? []);
+        files.push({ ...coverageRow(url, "css", totalBytes, ranges), inline: header.isInline === true });
+        exported.push({ url, ranges, text });
+      }
+    } catch (e) {
+      console.warn("CSS coverage failed:", e.message);
+    }
+  }
+
+  if (files.length === 0) return null;
+  files.sort((a, b) => b.unusedBytes - a.unusedBytes);
+
+  const totals = (type) => {
+    const rows = files.filter((f) => f.type === type);
+    const totalBytes = rows.reduce((sum, f) => sum + f.totalBytes, 0);
+    const unusedBytes = rows.reduce((sum, f) => sum + f.unusedBytes, 0);
+    return { files: rows.length, totalBytes, unusedBytes };
+  };
+
+  return { js: totals("js"), css: totals("css"), files, export: exported };
+}
+
+// ── Runtime metrics ────────────────────────────────────────────────────────────
+
+const RUNTIME_SAMPLE_MS = 1000;
+const MAX_RUNTIME_SAMPLES = 300;  // halved (every other sample) when exceeded
+
+// CDP Performance.getMetrics name → sample key. Durations are cumulative
+// seconds in CDP and are stored as ms.
+const RUNTIME_METRIC_NAMES = {
+  JSHeapUsedSize:   "heapUsed",
+  Nodes:            "nodes",
+  Documents:        "documents",
+  JSEventListeners: "listeners",
+  LayoutCount:      "layouts",
+  RecalcStyleCount: "recalcs",
+  ScriptDuration:   "scriptMs",
+  TaskDuration:     "taskMs",
+};
+
+async function sampleRuntimeMetrics(tabId, session) {
+  let metrics;
+  try {
+    ({ metrics } = await cdpSend(tabId, "Performance.getMetrics"));
+  } catch (_) {
+    return; // page mid-navigation; the next tick will catch up
+  }
+  const sample = { wallTime: Date.now() };
+  for (const { name, value } of metrics) {
+    const key = RUNTIME_METRIC_NAMES[name];
+    if (key) sample[key] = key.endsWith("Ms") ? Math.round(value * 1000) : value;
+  }
+  session.runtimeSamples.push(sample);
+  if (session.runtimeSamples.length > MAX_RUNTIME_SAMPLES) {
+    session.runtimeSamples = session.runtimeSamples.filter((_, i) => i % 2 === 0);
+  }
+}
+
+async function startRuntimeSampling(tabId, session) {
+  await cdpSend(tabId, "Performance.enable");
+  await sampleRuntimeMetrics(tabId, session);
+  session.runtimeTimer = setInterval(() => {
+    if (sessions.get(tabId) !== session) {
+      clearInterval(session.runtimeTimer);
+      return;
+    }
+    sampleRuntimeMetrics(tabId, session);
+  }, RUNTIME_SAMPLE_MS);
+}
+
+// Sample times (`t`) relative to navigation start, like the page timings. Samples taken
+// before a cold reload's navigation belong to the old document and are dropped.
+function buildRuntimeTimeline(session, timeOrigin) {
+  const samples = session.runtimeSamples;
+  if (samples.length === 0) return null;
+  const origin = timeOrigin ?? session.startTime;
+  const timeline = samples
+    .map(({ wallTime, ...values }) => ({ t: Math.round(wallTime - origin), ...values }))
+    .filter((s) => s.t >= 0);
+  return timeline.length > 0 ? timeline : null;
+}
+
+// ── CPU profile ────────────────────────────────────────────────────────────────
+
+const MAX_PROFILE_FUNCTIONS = 50;  // kept from each of the self and total rankings
+const PROFILE_META_NODES = new Set(["(root)", "(program)", "(idle)"]);
+
+// Self and total time per function from a V8 sampling profile. Each sample
+// lasts until the next one; a function's total time counts only its
+// outermost frame, so recursion is not double-counted.
+function summarizeProfile(profile) {
+  const nodes = new Map(profile.nodes.map((n) => [n.id, n]));
+  const selfUs = new Map();
+  let lastSampleTime = profile.startTime;
+  for (let i = 0; i < profile.samples.length; i++) {
+    lastSampleTime += profile.timeDeltas[i];
+    // The last sample runs until the profile ends
+    const dt = i + 1 < profile.samples.length
+      ? profile.timeDeltas[i + 1]
+      : Math.max(0, profile.endTime - lastSampleTime);
+    selfUs.set(profile.samples[i], (selfUs.get(profile.samples[i]) ?? 0) + dt);
+  }
+
+  const fnKey = ({ callFrame: cf }) => `${cf.functionName}|${cf.url}|${cf.lineNumber}|${cf.columnNumber}`;
+  const functions = new Map();
+  const active = new Map(); // fnKey → frames of it on the current stack
+  let idleUs = 0;
+
+  // Iterative post-order walk; profiles can be deeper than the call stack allows
+  const totals = new Map();
+  const root = profile.nodes[0];
+  const stack = [{ node: root, visited: false }];
+  while (stack.length > 0) {
+    const top = stack[stack.length - 1];
+    const key = fnKey(top.node);
+    if (!top.visited) {
+      top.visited = true;
+      active.set(key, (active.get(key) ?? 0) + 1);
+      for (const id of top.node.children ?? []) stack.push({ node: nodes.get(id), visited: false });
+      continue;
+    }
+    stack.pop();
+    const self = selfUs.get(top.node.id) ?? 0;
+    const total = self + (top.node.children ?? []).reduce((sum, id) => sum + totals.get(id), 0);
+    totals.set(top.node.id, total);
+    active.set(key, active.get(key) - 1);
+
+    const cf = top.node.callFrame;
+    if (cf.functionName === "(idle)") idleUs += self;
+    if (PROFILE_META_NODES.has(cf.functionName) || cf.url.startsWith("chrome-extension://")) continue;
+    if (!functions.has(key)) {
+      functions.set(key, {
+        functionName: cf.functionName || "(anonymous)",
+        url: cf.url,
+        line: cf.lineNumber + 1,   // CDP positions are 0-based
+        column: cf.columnNumber + 1,
+        selfMs: 0,
+        totalMs: 0,
+      });
+    }
+    const fn = functions.get(key);
+    fn.selfMs += self / 1000;
+    if (active.get(key) === 0) fn.totalMs += total / 1000;
+  }
+
+  const all = [...functions.values()];
+  const bySelf = [...all].sort((a, b) => b.selfMs - a.selfMs).slice(0, MAX_PROFILE_FUNCTIONS);
+  const byTotal = [...all].sort((a, b) => b.totalMs - a.totalMs).slice(0, MAX_PROFILE_FUNCTIONS);
+  return {
+    durationMs: (profile.endTime - profile.startTime) / 1000,
+    sampleCount: profile.samples.length,
+    idleMs: idleUs / 1000,
+    functions: [...new Set([...bySelf, ...byTotal])]
+      .map((fn) => ({ ...fn, selfMs: Math.round(fn.selfMs * 10) / 10, totalMs: Math.round(fn.totalMs * 10) / 10 })),
+  };
+}
+
+// ── Trace analysis ─────────────────────────────────────────────────────────────
+
+const TRACE_COMPLETE_TIMEOUT_MS = 5000;
+const MAX_TRACE_SCRIPTS = 50;  // scripts kept by main-thread time; the popup shows 10
+
+// Trace event name → main-thread activity group, following the DevTools
+// Performance panel's Scripting / Rendering / Painting / Loading split.
+const TRACE_EVENT_CATEGORIES = {
+  scripting: [
+    "EvaluateScript", "FunctionCall", "TimerFire", "EventDispatch",
+    "FireAnimationFrame", "FireIdleCallback", "RunMicrotasks",
+    "v8.compile", "v8.compileModule", "v8.evaluateModule", "v8.produceCache",
+    "v8.produceModuleCache", "V8.Execute", "XHRReadyStateChange", "XHRLoad",
+  ],
+  styleLayout: [
+    "UpdateLayoutTree", "RecalculateStyles", "Layout", "UpdateLayerTree",
+    "HitTest", "ScrollLayer",
+  ],
+  paintComposite: [
+    "Paint", "PaintImage", "PrePaint", "CompositeLayers", "Layerize",
+    "Commit", "DecodeImage", "ResizeImage",
+  ],
+  parsing: ["ParseHTML", "ParseAuthorStyleSheet"],
+  gc: ["MinorGC", "MajorGC", "GCEvent", "BlinkGC.AtomicPhase"],
+};
+
+const TRACE_EVENT_CATEGORY = new Map(
+  Object.entries(TRACE_EVENT_CATEGORIES).flatMap(([cat, names]) => names.map((n) => [n, cat]))
+);
+
+function traceCategoryOf(name) {
+  const cat = TRACE_EVENT_CATEGORY.get(name);
+  if (cat) return cat;
+  if (name.startsWith("V8.GC") || name.startsWith("BlinkGC")) return "gc";
+  return null;
+}
+
+function traceUrlOf(ev) {
+  const data = ev.args?.data;
+  if (!data) return null;
+  return data.url || data.stackTrace?.[0]?.url || null;
+}
+
+/**
+ * Break main-thread time down by activity and attribute scripting time to
+ * script URLs. Uses self time (event duration minus nested events) so nothing
+ * is counted twice; nested events without a known name inherit their parent's
+ * category and URL.
+ */
+function analyzeTrace(chunks) {
+  const events = [];
+  for (const chunk of chunks) {
+    for (const ev of JSON.parse(chunk)) events.push(ev);
+  }
+
+  // Renderer main threads, keyed "pid:tid"
+  const mainThreads = new Set(
+    events
+      .filter((e) => e.ph === "M" && e.name === "thread_name" && e.args?.name === "CrRendererMain")
+      .map((e) => `${e.pid}:${e.tid}`)
+  );
+
+  // Complete events per thread; B/E pairs are folded into the same shape
+  const byThread = new Map();
+  const open = new Map();
+  for (const ev of events) {
+    const key = `${ev.pid}:${ev.tid}`;
+    if (!mainThreads.has(key)) continue;
+    if (!byThread.has(key)) byThread.set(key, []);
+    if (ev.ph === "X" && ev.dur != null) {
+      byThread.get(key).push({ name: ev.name, ts: ev.ts, dur: ev.dur, url: traceUrlOf(ev) });
+    } else if (ev.ph === "B") {
+      if (!open.has(key)) open.set(key, []);
+      open.get(key).push(ev);
+    } else if (ev.ph === "E") {
+      const begin = open.get(key)?.pop();
+      if (begin) {
+        byThread.get(key).push({ name: begin.name, ts: begin.ts, dur: ev.ts - begin.ts, url: traceUrlOf(begin) });
+      }
+    }
+  }
+
+  // The busiest renderer main thread is the measured page
+  let thread = null;
+  let busiest = -1;
+  for (const list of byThread.values()) {
+    const total = list.reduce((s, e) => s + e.dur, 0);
+    if (total > busiest) { busiest = total; thread = list; }
+  }
+  if (!thread || thread.length === 0) return null;
+
+  thread.sort((a, b) => a.ts - b.ts || b.dur - a.dur);
+
+  const totals = { scripting: 0, styleLayout: 0, paintComposite: 0, parsing: 0, gc: 0, other: 0 };
+  const scriptTime = new Map(); // url → µs
+  const stack = [];
+
+  const finalize = (node) => {
+    if (node.self <= 0) return;
+    totals[node.cat ?? "other"] += node.self;
+    if (node.cat === "scripting" && node.url) {
+      scriptTime.set(node.url, (scriptTime.get(node.url) ?? 0) + node.self);
+    }
+  };
+
+  for (const ev of thread) {
+    while (stack.length > 0 && ev.ts >= stack[stack.length - 1].end) finalize(stack.pop());
+    const parent = stack[stack.length - 1] ?? null;
+    const end = ev.ts + ev.dur;
+    if (parent) parent.self -= Math.min(end, parent.end) - ev.ts;
+    stack.push({
+      end,
+      self: ev.dur,
+      cat: traceCategoryOf(ev.name) ?? parent?.cat ?? null,
+      url: ev.url ?? parent?.url ?? null,
+    });
+  }
+  while (stack.length > 0) finalize(stack.pop());
+
+  const toMs = (us) => us / 1000;
+  const categories = {};
+  for (const [cat, us] of Object.entries(totals)) categories[cat] = toMs(us);
+
+  const scripts = Array.from(scriptTime, ([url, us]) => ({ url, durationMs: toMs(us) }))
+    .sort((a, b) => b.durationMs - a.durationMs);
+
+  // Scripting time per script host, for third-party entity attribution
+  const scriptingByDomain = {};
+  for (const s of scripts) {
+    const domain = domainOf(s.url);
+    if (domain) scriptingByDomain[domain] = (scriptingByDomain[domain] ?? 0) + s.durationMs;
+  }
+
+  return {
+    totalMs: Object.values(categories).reduce((s, v) => s + v, 0),
+    categories,
+    topScripts: scripts.slice(0, MAX_TRACE_SCRIPTS),
+    scriptingByDomain,
+  };
+}
+
 // ── Start measurement ──────────────────────────────────────────────────────────
 
-async function startMeasurement(tabId, { coldLoad = false, traceEnabled = false } = {}) {
+async function startMeasurement(tabId, {
+  coldLoad = false,
+  traceEnabled = false,
+  profileEnabled = false,
+  coverageEnabled = false,
+  throttling = null,
+  navigateTo = null,        // cold-load this URL instead of reloading the current page
+} = {}) {
   if (sessions.has(tabId)) {
     throw new Error("Measurement already active for this tab.");
   }
 
+  const throttle = resolveThrottling(throttling);
+
   // Attach debugger
   try {
     await attachDebugger(tabId);
@@ -263,26 +1458,58 @@ async function startMeasurement(tabId, { coldLoad = false, traceEnabled = false
     throw new Error(`Failed to attach debugger: ${e.message}`);
   }
 
-
   // Create session
   const session = createSession(tabId);
   session.coldLoad = coldLoad;
   session.traceEnabled = traceEnabled;
+  session.throttling = throttle;
   sessions.set(tabId, session);
 
   // Enable Network domain
   try {
-    await cdpSend(tabId, "Network.enable", {
-      maxPostDataSize: 0,
-      maxResourceBufferSize: 0,
-      maxTotalBufferSize: 0,
-    });
+    await cdpSend(tabId, "Network.enable", NETWORK_ENABLE_PARAMS);
   } catch (e) {
     await detachDebugger(tabId);
     sessions.delete(tabId);
     throw new Error(`Failed to enable Network: ${e.message}`);
   }
 
+  // Page events tell a new document in the tab (Page.frameNavigated) apart
+  // from client-side route changes
+  try {
+    await cdpSend(tabId, "Page.enable");
+  } catch (_) {
+    // Non-fatal – the run then carries on across loads of other pages
+  }
+
+  // Apply throttling before any reload so the cold load runs under it.
+  // Emulation is cleared automatically when the debugger detaches.
+  if (throttle) {
+    try {
+      await applyThrottling(tabId, throttle);
+    } catch (e) {
+      // Unlike tracing this is fatal: an unthrottled run would be recorded
+      // under the wrong conditions and skew history comparisons.
+      await detachDebugger(tabId);
+      sessions.delete(tabId);
+      throw new Error(`Failed to apply throttling: ${e.message}`);
+    }
+  }
+
+  // Auto-attach to out-of-process iframes so their requests are captured too
+  try {
+    await cdpSend(tabId, "Target.setAutoAttach", AUTO_ATTACH_PARAMS);
+  } catch (_) {
+    // Non-fatal – OOPIF requests will be missing from the network data
+  }
+
+  // Sample heap, DOM and layout counters for the whole session
+  try {
+    await startRuntimeSampling(tabId, session);
+  } catch (_) {
+    // Non-fatal – the report just has no runtime timeline
+  }
+
   // Start tracing if requested
   if (traceEnabled) {
     try {
@@ -297,18 +1524,43 @@ async function startMeasurement(tabId, { coldLoad = false, traceEnabled = false
     }
   }
 
-  // Cold load: reload with cache bypass
+  // Start the V8 sampling profiler if requested
+  if (profileEnabled) {
+    try {
+      await cdpSend(tabId, "Profiler.enable");
+      await cdpSend(tabId, "Profiler.start");
+      session.profileEnabled = true;
+    } catch (_) {
+      // Non-fatal, like tracing
+    }
+  }
+
+  // Coverage must start before a cold reload to see load-time code
+  if (coverageEnabled) {
+    await startCoverage(tabId, session);
+  }
+
+  // Cold load: reload with cache bypass, or load `navigateTo` into the tab
   if (coldLoad) {
+    let navigation = null;
     try {
       await cdpSend(tabId, "Network.clearBrowserCache");
-      await cdpSend(tabId, "Page.enable");
-      await cdpSend(tabId, "Page.reload", { ignoreCache: true });
+      if (navigateTo) navigation = await cdpSend(tabId, "Page.navigate", { url: navigateTo });
+      else await cdpSend(tabId, "Page.reload", { ignoreCache: true });
     } catch (_) {
       // Best-effort; reload manually if CDP fails
       try {
-        await chrome.tabs.reload(tabId, { bypassCache: true });
+        if (navigateTo) await chrome.tabs.update(tabId, { url: navigateTo });
+        else await chrome.tabs.reload(tabId, { bypassCache: true });
       } catch (_2) {}
     }
+    // DNS, TLS and connection failures leave Chrome's error page in the tab;
+    // measuring that would record a bogus run
+    if (navigation?.errorText) {
+      await detachDebugger(tabId);
+      sessions.delete(tabId);
+      throw new Error(`Failed to load ${navigateTo}: ${navigation.errorText}`);
+    }
   }
 
   // Ensure content script + start observers
@@ -328,32 +1580,72 @@ async function stopMeasurement(tabId) {
   if (!session) throw new Error("No active measurement for this tab.");
 
   let pageMetrics = {};
+  let childFrames = [];
+  let frameTree = null;
   let traceInfo = { captured: false };
+  let coverage = null;
 
   try {
-    // Stop observers in page context
+    // One last runtime sample at Stop
+    clearInterval(session.runtimeTimer);
+    await sampleRuntimeMetrics(tabId, session);
+
+    // Stop observers in page context (top frame and child frames)
     try {
-      const resp = await sendToTab(tabId, { type: "GET_METRICS" });
+      const resp = await sendToTab(tabId, { type: "GET_METRICS" }, { frameId: 0 });
       if (resp && resp.ok) pageMetrics = resp.metrics;
+      childFrames = await collectChildFrameMetrics(tabId);
       await sendToTab(tabId, { type: "STOP_OBSERVERS" });
     } catch (_) {}
 
+    try {
+      ({ frameTree } = await cdpSend(tabId, "Page.getFrameTree"));
+    } catch (_) {}
+
+    let profile = null;
+    if (session.profileEnabled) {
+      try {
+        ({ profile } = await cdpSend(tabId, "Profiler.stop"));
+      } catch (_) {}
+    }
+
+    if (session.coverageEnabled) {
+      coverage = await collectCoverage(tabId, session);
+    }
+
     // Stop tracing if active
     if (session.traceEnabled && session.traceChunks.length === 0) {
       try {
+        const complete = new Promise((r) => { session.onTracingComplete = r; });
         await cdpSend(tabId, "Tracing.end");
-        // Wait briefly for Tracing.tracingComplete event
-        await new Promise((r) => setTimeout(r, 500));
+        // Wait for Tracing.tracingComplete so the analysis sees the whole trace
+        await Promise.race([complete, sleep(TRACE_COMPLETE_TIMEOUT_MS)]);
       } catch (_) {}
     }
     if (session.traceChunks.length > 0) {
+      let analysis = null;
+      try {
+        analysis = analyzeTrace(session.traceChunks);
+      } catch (e) {
+        console.warn("Trace analysis failed:", e.message);
+      }
       traceInfo = {
         captured: true,
         sizeBytes: session.traceSize,
         downloadAvailable: true,
         chunks: session.traceChunks,
+        analysis,
       };
     }
+    if (profile) {
+      let profileSummary = null;
+      try {
+        profileSummary = summarizeProfile(profile);
+      } catch (e) {
+        console.warn("CPU profile summary failed:", e.message);
+      }
+      traceInfo = { ...traceInfo, profile, profileSummary };
+    }
   } finally {
     // Always detach debugger and remove session, even if something above throws
     await detachDebugger(tabId);
@@ -363,10 +1655,18 @@ async function stopMeasurement(tabId) {
   // Build network data from CDP-captured request info
   const tab = await getTab(tabId);
   const pageHost = domainOf(tab?.url ?? "");
+  const pageOrigin = originOf(tab?.url ?? "");
 
+  const domainInfo = classifyDomains(
+    Array.from(session.domainMap.values()),
+    pageHost,
+    await loadEntities(),
+    pageOrigin ? await loadFirstPartyDomains(pageOrigin) : []
+  );
   const domainList = Array.from(session.domainMap.values()).map((d) => ({
     ...d,
-    thirdParty: pageHost ? d.domain !== pageHost : false,
+    thirdParty: !domainInfo.get(d.domain).firstParty,
+    entity: domainInfo.get(d.domain).entity,
   }));
   domainList.sort((a, b) => b.bytes - a.bytes);
 
@@ -394,17 +1694,408 @@ async function stopMeasurement(tabId) {
   }
   cdpRequests.sort((a, b) => b.durationMs - a.durationMs);
 
+  const waterfall = buildWaterfall(session, pageMetrics.timeOrigin);
+  pageMetrics.frames = buildFrameBreakdown(session, frameTree, tab?.url ?? "", pageMetrics, childFrames);
+  pageMetrics.coverage = coverage;
+  pageMetrics.runtimeMetrics = buildRuntimeTimeline(session, pageMetrics.timeOrigin);
+
   const networkData = {
     requestsTotal: session.requestsTotal,
     transferredBytes: session.transferredBytes,
     cacheHitRate,
     failures: session.failures,
     byDomain: domainList,
+    byEntity: buildEntitySummary(domainList, domainInfo, traceInfo.analysis ?? null),
     byType: Object.values(byTypeMap),
     slowest: cdpRequests.slice(0, 10),
+    requests: waterfall,
+    renderBlocking: buildRenderBlocking(waterfall, pageMetrics),
+    criticalChains: buildCriticalChains(waterfall, pageMetrics),
+    har: buildHar(session, tab?.url ?? "", pageMetrics),
   };
 
-  return { pageMetrics, networkData, traceInfo };
+  // What the session actually captured: any of these can fail to start
+  const captured = {
+    traceEnabled: session.traceEnabled,
+    profileEnabled: session.profileEnabled,
+    coverageEnabled: session.coverageEnabled,
+  };
+
+  return { pageMetrics, networkData, traceInfo, throttling: session.throttling, captured };
+}
+
+// ── User flows ─────────────────────────────────────────────────────────────────
+
+const FLOW_TARGET_TIMEOUT_MS = 5000;  // wait this long for a step's element to appear
+const FLOW_MAX_DELAY_MS = 3000;       // recorded pauses are capped at this on replay
+
+// Key descriptions for the named keys the recorder captures
+const FLOW_KEYS = {
+  Enter:      { code: "Enter",      windowsVirtualKeyCode: 13, text: "\r" },
+  Tab:        { code: "Tab",        windowsVirtualKeyCode: 9 },
+  Escape:     { code: "Escape",     windowsVirtualKeyCode: 27 },
+  Backspace:  { code: "Backspace",  windowsVirtualKeyCode: 8 },
+  ArrowUp:    { code: "ArrowUp",    windowsVirtualKeyCode: 38 },
+  ArrowDown:  { code: "ArrowDown",  windowsVirtualKeyCode: 40 },
+  ArrowLeft:  { code: "ArrowLeft",  windowsVirtualKeyCode: 37 },
+  ArrowRight: { code: "ArrowRight", windowsVirtualKeyCode: 39 },
+};
+
+async function evaluateInPage(tabId, expression) {
+  const { result, exceptionDetails } = await cdpSend(tabId, "Runtime.evaluate", { expression, returnByValue: true });
+  if (exceptionDetails) throw new Error(exceptionDetails.exception?.description ?? exceptionDetails.text);
+  return result.value;
+}
+
+// Scroll a step's element into view (and focus it for typing) and return its
+// centre in viewport coordinates. Elements rendered late are waited for.
+async function locateFlowTarget(tabId, selector, { focus = false } = {}) {
+  const expression = `(() => {
+    const el = document.querySelector(${JSON.stringify(selector)});
+    if (!el) return null;
+    el.scrollIntoView({ block: "center", inline: "center" });
+    ${focus ? "if (document.activeElement !== el) el.focus();" : ""}
+    const r = el.getBoundingClientRect();
+    return { x: r.left + r.width / 2, y: r.top + r.height / 2 };
+  })()`;
+  const deadline = Date.now() + FLOW_TARGET_TIMEOUT_MS;
+  for (;;) {
+    const point = await evaluateInPage(tabId, expression);
+    if (point) return point;
+    if (Date.now() >= deadline) throw new Error(`no element matches ${selector}`);
+    await sleep(200);
+  }
+}
+
+async function dispatchClick(tabId, { x, y }) {
+  await cdpSend(tabId, "Input.dispatchMouseEvent", { type: "mouseMoved", x, y });
+  await cdpSend(tabId, "Input.dispatchMouseEvent", { type: "mousePressed", x, y, button: "left", buttons: 1, clickCount: 1 });
+  await cdpSend(tabId, "Input.dispatchMouseEvent", { type: "mouseReleased", x, y, button: "left", buttons: 0, clickCount: 1 });
+}
+
+// A keyDown with text inserts it, like a real key press
+async function dispatchKey(tabId, key, { code, windowsVirtualKeyCode, text } = {}) {
+  await cdpSend(tabId, "Input.dispatchKeyEvent", {
+    type: text ? "keyDown" : "rawKeyDown", key, code, windowsVirtualKeyCode, text,
+  });
+  await cdpSend(tabId, "Input.dispatchKeyEvent", { type: "keyUp", key, code, windowsVirtualKeyCode });
+}
+
+// Wheel over the scroller by the distance to the recorded position, so the
+// page scrolls through its real input path (scroll listeners, lazy loading)
+async function dispatchScroll(tabId, step) {
+  const scroller = step.selector ? `document.querySelector(${JSON.stringify(step.selector)})` : "document.scrollingElement";
+  const delta = await evaluateInPage(tabId, `(() => {
+    const el = ${scroller};
+    if (!el) return null;
+    const r = ${step.selector ? "el.getBoundingClientRect()" : "{ left: 0, top: 0, width: innerWidth, height: innerHeight }"};
+    return {
+      x: r.left + r.width / 2,
+      y: r.top + r.height / 2,
+      deltaX: ${Number(step.x) || 0} - el.scrollLeft,
+      deltaY: ${Number(step.y) || 0} - el.scrollTop,
+    };
+  })()`);
+  if (!delta) throw new Error(`no element matches ${step.selector}`);
+  if (delta.deltaX || delta.deltaY) {
+    await cdpSend(tabId, "Input.dispatchMouseEvent", { type: "mouseWheel", ...delta });
+  }
+}
+
+async function replayStep(tabId, step) {
+  switch (step.type) {
+    case "click":
+      await dispatchClick(tabId, await locateFlowTarget(tabId, step.selector));
+      break;
+    case "type":
+      if (step.selector) await locateFlowTarget(tabId, step.selector, { focus: true });
+      for (const ch of step.text) await dispatchKey(tabId, ch, { text: ch });
+      break;
+    case "key":
+      await dispatchKey(tabId, step.key, FLOW_KEYS[step.key]);
+      break;
+    case "scroll":
+      await dispatchScroll(tabId, step);
+      break;
+    default:
+      throw new Error(`unknown step type "${step.type}"`);
+  }
+}
+
+// Replay a recorded flow through CDP input events, which the page sees as
+// trusted user input, so INP and CLS reflect the same interactions on every
+// run. The first failing step ends the replay; the result says how far it got.
+async function replayFlow(tabId, flow, shouldAbort) {
+  const result = { name: flow.name, steps: flow.steps.length, completed: 0, error: null };
+  for (const step of flow.steps) {
+    if (shouldAbort()) break;
+    await sleep(Math.min(step.delayMs ?? 0, FLOW_MAX_DELAY_MS));
+    try {
+      await replayStep(tabId, step);
+    } catch (e) {
+      result.error = `step ${result.completed + 1} (${step.type}): ${e.message}`;
+      break;
+    }
+    result.completed++;
+  }
+  return result;
+}
+
+// ── Batch mode ─────────────────────────────────────────────────────────────────
+
+const BATCH_QUIET_MS = 2000;        // network silence required after load
+const BATCH_RUN_TIMEOUT_MS = 60000; // give up waiting for quiet after this
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+// Resolve once the page has fired load and the network has been idle for
+// BATCH_QUIET_MS. Pages that never go quiet (polling, analytics beacons) are
+// measured as-is once the timeout elapses.
+async function waitForLoadAndQuiet(tabId, shouldAbort) {
+  const deadline = Date.now() + BATCH_RUN_TIMEOUT_MS;
+  while (Date.now() < deadline && !shouldAbort()) {
+    const session = getSession(tabId);
+    if (!session) throw new Error("Measurement ended unexpectedly (tab closed or navigated away).");
+    if (session.loadFired && Date.now() - session.lastNetworkActivity >= BATCH_QUIET_MS) return;
+    await sleep(250);
+  }
+}
+
+// Repeat the cold-load measurement `runs` times, replaying `flow` once each
+// page has settled. The runs are aggregated and saved to history here, since
+// the popup may be closed while the batch runs; it collects the report with
+// GET_BATCH_RESULT.
+async function runBatch(tabId, runs, {
+  throttling = null,
+  flow = null,
+  traceEnabled = false,
+  profileEnabled = false,
+  coverageEnabled = false,
+} = {}) {
+  const batch = {
+    total: runs,
+    flow: flow?.name ?? null,
+    completed: 0,
+    results: [],
+    report: null,
+    done: false,
+    cancelled: false,
+    error: null,
+  };
+  batches.set(tabId, batch);
+
+  try {
+    for (let i = 0; i < runs && !batch.cancelled; i++) {
+      const timestamp = new Date().toISOString();
+      await startMeasurement(tabId, {
+        coldLoad: true,
+        traceEnabled,
+        profileEnabled,
+        coverageEnabled,
+        throttling,
+        // Replay starts on the page the flow was recorded on
+        navigateTo: flow?.url ?? null,
+      });
+      await waitForLoadAndQuiet(tabId, () => batch.cancelled);
+      let flowResult = null;
+      if (flow && !batch.cancelled) {
+        flowResult = await replayFlow(tabId, flow, () => batch.cancelled);
+        // Let requests and paints triggered by the last steps finish
+        await waitForLoadAndQuiet(tabId, () => batch.cancelled);
+      }
+      const result = await stopMeasurement(tabId);
+      // A run interrupted by Stop is incomplete – discard it
+      if (batch.cancelled) break;
+      batch.results.push({ ...result, timestamp, flow: flowResult });
+      batch.completed++;
+    }
+  } catch (e) {
+    batch.error = e.message;
+    if (sessions.has(tabId)) await stopMeasurement(tabId).catch(() => {});
+  } finally {
+    // Runs completed before a Stop or an error are still reported
+    if (batch.results.length > 0) {
+      try {
+        batch.report = await saveBatchReport(tabId, batch);
+      } catch (e) {
+        batch.error ??= `Failed to save the batch report: ${e.message}`;
+      }
+    }
+    batch.results = [];
+    batch.done = true;
+  }
+}
+
+// Build a RunReport per run, aggregate them and save the result to history.
+// A single flow run is saved as-is rather than as a batch of one.
+async function saveBatchReport(tabId, batch) {
+  const pageUrl = (await getTab(tabId))?.url ?? "";
+  const origin = originOf(pageUrl);
+  const budget = await loadBudget(origin);
+  const reports = batch.results.map((run) => buildRunReport(
+    {
+      url:        pageUrl,
+      origin,
+      timestamp:  run.timestamp,
+      userAgent:  navigator.userAgent,
+      coldLoad:   true,
+      ...run.captured,
+      throttling: run.throttling,
+      flow:       run.flow,
+    },
+    run.pageMetrics,
+    run.networkData,
+    run.traceInfo,
+    budget
+  ));
+  const report = batch.total > 1 ? aggregateReports(reports) : reports[0];
+  await saveReport(report);
+  return report;
+}
+
+function batchStatus(tabId) {
+  const batch = batches.get(tabId);
+  if (!batch) return null;
+  const { total, completed, done, cancelled, error, flow } = batch;
+  return { total, completed, done, cancelled, error, flow };
+}
+
+// ── Scheduled monitoring ───────────────────────────────────────────────────────
+
+const MONITOR_ALARM = "monitor";
+const MONITOR_TAB_READY_MS = 5000;  // wait this long for the blank tab to finish loading
+const MONITOR_WINDOW_SIZE = { width: 1280, height: 800 };  // only when no browser window is open
+
+const monitorState = { running: false, currentUrl: null };
+
+// (Re)create the alarm after the settings change. On browser startup an alarm
+// that already matches the interval is kept, so the schedule does not drift.
+async function syncMonitorAlarm({ reschedule = true } = {}) {
+  const config = await loadMonitorConfig();
+  const existing = await chrome.alarms.get(MONITOR_ALARM);
+  if (!config.enabled || config.urls.length === 0) {
+    if (existing) await chrome.alarms.clear(MONITOR_ALARM);
+    return;
+  }
+  if (existing && !reschedule && existing.periodInMinutes === config.intervalMinutes) return;
+  await chrome.alarms.create(MONITOR_ALARM, {
+    delayInMinutes: config.intervalMinutes,
+    periodInMinutes: config.intervalMinutes,
+  });
+}
+
+chrome.runtime.onInstalled.addListener(() => { syncMonitorAlarm({ reschedule: false }); });
+chrome.runtime.onStartup.addListener(() => { syncMonitorAlarm({ reschedule: false }); });
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.monitor) syncMonitorAlarm();
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === MONITOR_ALARM) runMonitorCycle();
+});
+
+// Measure every monitored URL in turn, saving each run to history and its
+// outcome to the status shown on the monitoring dashboard
+async function runMonitorCycle() {
+  // A slow cycle can overlap the next alarm; that tick is simply skipped
+  if (monitorState.running) return;
+  monitorState.running = true;
+  try {
+    const config = await loadMonitorConfig();
+    for (const url of config.urls) {
+      monitorState.currentUrl = url;
+      const outcome = await measureScheduledUrl(url, config);
+      const status = await loadMonitorStatus();
+      // A failed check keeps the link to the last report that did get saved
+      status[url] = { ...status[url], ...outcome };
+      for (const key of Object.keys(status)) {
+        if (!config.urls.includes(key)) delete status[key];
+      }
+      await saveMonitorStatus(status);
+    }
+  } finally {
+    monitorState.running = false;
+    monitorState.currentUrl = null;
+  }
+}
+
+// Cold-load `url` in a background tab and save the RunReport. Returns the
+// status entry for the dashboard; errors are reported there, never thrown.
+// The tab gets its own unfocused window: an inactive tab in the user's window
+// is hidden, and hidden pages never paint, so FCP and LCP would be missing.
+async function measureScheduledUrl(url, config) {
+  const checkedAt = new Date().toISOString();
+  let win = null;
+  let tab = null;
+  try {
+    // A background tab in an existing window, so checks never take focus
+    const [existing] = await chrome.windows.getAll({ windowTypes: ["normal"] });
+    if (existing) {
+      tab = await chrome.tabs.create({ windowId: existing.id, url: "about:blank", active: false });
+    } else {
+      win = await chrome.windows.create({ url: "about:blank", focused: false, ...MONITOR_WINDOW_SIZE });
+      tab = win.tabs[0];
+    }
+    // Its load event must not be mistaken for the measured page's
+    const deadline = Date.now() + MONITOR_TAB_READY_MS;
+    while ((await getTab(tab.id))?.status !== "complete" && Date.now() < deadline) await sleep(100);
+
+    await startMeasurement(tab.id, { coldLoad: true, throttling: config.throttling, navigateTo: url });
+    await waitForLoadAndQuiet(tab.id, () => false);
+    const { pageMetrics, networkData, traceInfo, throttling, captured } = await stopMeasurement(tab.id);
+
+    const pageUrl = (await getTab(tab.id))?.url || url;
+    const meta = {
+      url:             pageUrl,
+      origin:          originOf(pageUrl),
+      timestamp:       checkedAt,
+      userAgent:       navigator.userAgent,
+      coldLoad:        true,
+      ...captured,
+      throttling,
+      flow:            null,
+      scheduled:       true,
+    };
+    const report = buildRunReport(meta, pageMetrics, networkData, traceInfo, await loadBudget(meta.origin));
+    await saveReport(report);
+
+    // Error pages and failed loads still get measured; flag them instead of "ok"
+    const docRequest = networkData.requests.find((r) => !r.redirect);
+    let status = "ok";
+    let error = null;
+    if (!docRequest) {
+      status = "error";
+      error = "No document request was seen";
+    } else if (docRequest.failed) {
+      status = "error";
+      error = networkData.failures.find((f) => f.url === docRequest.url)?.errorText ?? "The document request failed";
+    } else if (docRequest.status >= 400) {
+      status = "error";
+      error = `HTTP ${docRequest.status}`;
+    } else if (report.budget && !report.budget.passed) {
+      status = "over-budget";
+    }
+    return {
+      checkedAt,
+      status,
+      error,
+      origin:           meta.origin,
+      timestamp:        checkedAt,
+      lcp:              report.timings.lcp,
+      cls:              report.timings.cls,
+      transferredBytes: report.network.transferredBytes,
+      budgetFailures:   report.budget?.results.filter((r) => !r.pass).length ?? 0,
+    };
+  } catch (e) {
+    if (tab && sessions.has(tab.id)) await stopMeasurement(tab.id).catch(() => {});
+    return { checkedAt, status: "error", error: e.message };
+  } finally {
+    if (win) await chrome.windows.remove(win.id).catch(() => {});
+    else if (tab) await chrome.tabs.remove(tab.id).catch(() => {});
+  }
 }
 
 // ── Message handler ────────────────────────────────────────────────────────────
@@ -420,7 +2111,7 @@ async function handleMessage(msg, _sender, sendResponse) {
   if (type === "GET_STATUS") {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     const active = tab ? sessions.has(tab.id) : false;
-    sendResponse({ active, tabId: tab?.id });
+    sendResponse({ active, tabId: tab?.id, batch: tab ? batchStatus(tab.id) : null });
     return;
   }
 
@@ -438,8 +2129,43 @@ async function handleMessage(msg, _sender, sendResponse) {
       return;
     }
 
+    if (batches.has(tab.id) && !batches.get(tab.id).done) {
+      sendResponse({ ok: false, error: "A batch is already running for this tab." });
+      return;
+    }
+
+    // Flow runs go through the batch runner even when single: it waits for the
+    // page to settle, replays the flow and stops on its own
+    const runs = Math.min(Math.max(parseInt(msg.runs, 10) || 1, 1), 20);
+    if (msg.flow && !Array.isArray(msg.flow.steps)) {
+      sendResponse({ ok: false, error: "Invalid flow." });
+      return;
+    }
+    if (runs > 1 || msg.flow) {
+      if (sessions.has(tab.id)) {
+        sendResponse({ ok: false, error: "Measurement already active for this tab." });
+        return;
+      }
+      runBatch(tab.id, runs, {
+        throttling: msg.throttling,
+        flow: msg.flow,
+        // A single flow run can keep its trace; N traces would exhaust memory
+        traceEnabled: runs === 1 && !!msg.traceEnabled,
+        profileEnabled: msg.profileEnabled,
+        coverageEnabled: msg.coverageEnabled,
+      });
+      sendResponse({ ok: true, tabId: tab.id, batch: { total: runs, flow: msg.flow?.name ?? null } });
+      return;
+    }
+
     try {
-      await startMeasurement(tab.id, { coldLoad: msg.coldLoad, traceEnabled: msg.traceEnabled });
+      await startMeasurement(tab.id, {
+        coldLoad: msg.coldLoad,
+        traceEnabled: msg.traceEnabled,
+        profileEnabled: msg.profileEnabled,
+        coverageEnabled: msg.coverageEnabled,
+        throttling: msg.throttling,
+      });
       sendResponse({ ok: true, tabId: tab.id });
     } catch (e) {
       sendResponse({ ok: false, error: e.message });
@@ -451,12 +2177,91 @@ async function handleMessage(msg, _sender, sendResponse) {
     const tabId = msg.tabId;
     if (!tabId) { sendResponse({ ok: false, error: "No tabId provided." }); return; }
 
+    // Stop during a batch cancels the remaining runs; results are collected
+    // through GET_BATCH_RESULT once the batch winds down.
+    const batch = batches.get(tabId);
+    if (batch && !batch.done) {
+      batch.cancelled = true;
+      sendResponse({ ok: true, batch: batchStatus(tabId) });
+      return;
+    }
+
+    try {
+      const { pageMetrics, networkData, traceInfo, throttling, captured } = await stopMeasurement(tabId);
+      sendResponse({ ok: true, pageMetrics, networkData, traceInfo, throttling, captured });
+    } catch (e) {
+      sendResponse({ ok: false, error: e.message });
+    }
+    return;
+  }
+
+  if (type === "GET_BATCH_RESULT") {
+    const batch = batches.get(msg.tabId);
+    if (!batch || !batch.done) {
+      sendResponse({ ok: false, error: "No finished batch for this tab." });
+      return;
+    }
+    batches.delete(msg.tabId);
+    sendResponse({
+      ok: true,
+      total: batch.total,
+      completed: batch.completed,
+      report: batch.report,  // already saved to history
+      cancelled: batch.cancelled,
+      error: batch.error,
+    });
+    return;
+  }
+
+  // Flow recording happens in the page's content script; the popup reopens
+  // on a recording in progress through RECORD_FLOW_STATUS
+  if (type === "RECORD_FLOW_START") {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) { sendResponse({ ok: false, error: "No active tab." }); return; }
+    if (sessions.has(tab.id)) {
+      sendResponse({ ok: false, error: "Stop the measurement before recording a flow." });
+      return;
+    }
     try {
-      const { pageMetrics, networkData, traceInfo } = await stopMeasurement(tabId);
-      sendResponse({ ok: true, pageMetrics, networkData, traceInfo });
+      await ensureContentScript(tab.id);
     } catch (e) {
       sendResponse({ ok: false, error: e.message });
+      return;
     }
+    const resp = await sendToTab(tab.id, { type: "START_RECORDING" }, { frameId: 0 });
+    sendResponse(resp ?? { ok: false, error: "The page did not respond." });
+    return;
+  }
+
+  if (type === "RECORD_FLOW_STATUS" || type === "RECORD_FLOW_STOP") {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const resp = tab
+      ? await sendToTab(tab.id, { type: type === "RECORD_FLOW_STOP" ? "STOP_RECORDING" : "GET_RECORDING" }, { frameId: 0 })
+      : null;
+    sendResponse(resp ?? { ok: false, error: "No recording on this tab." });
+    return;
+  }
+
+  // Scheduled monitoring runs in the background; the dashboard follows it
+  // through GET_MONITOR_STATE and the stored monitorStatus
+  if (type === "MONITOR_RUN_NOW") {
+    if (monitorState.running) {
+      sendResponse({ ok: false, error: "A monitoring cycle is already running." });
+      return;
+    }
+    const config = await loadMonitorConfig();
+    if (config.urls.length === 0) {
+      sendResponse({ ok: false, error: "No URLs to monitor." });
+      return;
+    }
+    runMonitorCycle();
+    sendResponse({ ok: true });
+    return;
+  }
+
+  if (type === "GET_MONITOR_STATE") {
+    const alarm = await chrome.alarms.get(MONITOR_ALARM);
+    sendResponse({ ok: true, ...monitorState, nextCheckAt: alarm?.scheduledTime ?? null });
     return;
   }
 
@@ -0,0 +1,140 @@
+// Import checks of parseRunReport(): a report with one well-formed entry in
+// every section the views render, and one malformed variant per section.
+// Run with: node --experimental-default-type=module --test tests/
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseRunReport } from "../report.js";
+
+const step = { url: "https://a.test/app.js", type: "script", startMs: 0, endMs: 10 };
+const script = { sourceURL: "https://a.test/app.js", functionName: "onClick", invoker: "click", duration: 40 };
+
+function wellFormed() {
+  return {
+    schemaVersion: 2,
+    meta: { url: "https://a.test/", origin: "https://a.test", timestamp: "2026-01-01T00:00:00.000Z" },
+    timings: { ttfb: 100, fcp: 900, lcp: 1800, inp: 120, cls: 0.02, dcl: 1000, load: 2000 },
+    longTasks: { count: 1, totalMs: 80, maxMs: 80 },
+    network: {
+      requestsTotal: 2,
+      transferredBytes: 2048,
+      cacheHitRate: 0.5,
+      failures: [{ url: "https://a.test/missing.png" }],
+      byDomain: [{ domain: "a.test", requests: 2, bytes: 2048 }],
+      byEntity: [{ name: "a.test", category: "first-party", domains: ["a.test"], known: false, requests: 2, bytes: 2048, mainThreadMs: null }],
+      byType: [{ type: "script", requests: 1, bytes: 1024 }],
+      slowest: [{ url: "https://a.test/app.js", type: "script", durationMs: 10, transferBytes: 1024 }],
+      requests: [{ url: "https://a.test/app.js", type: "script", status: 200, startMs: 0, totalMs: 10 }],
+    },
+    lcpBreakdown: { ttfb: 100, loadDelay: 200, loadDuration: 300, renderDelay: 400 },
+    renderBlocking: {
+      resources: [{ url: "https://a.test/app.css", type: "stylesheet", durationMs: 30, fcpCostMs: 20 }],
+      byType: { stylesheet: 1 },
+      fcpDelayMs: 20,
+    },
+    criticalChains: [{ kind: "lcp", depth: 1, totalMs: 10, steps: [{ ...step }] }],
+    clsSources: [{ value: 0.02, startTime: 500, sources: [{ node: "div.banner" }] }],
+    layoutShifts: { shiftCount: 1, windowCount: 1, total: 0.02, worstWindow: { value: 0.02, start: 500, end: 500, shiftCount: 1 } },
+    interactions: [{ type: "click", target: "button", duration: 120, scripts: [{ ...script }] }],
+    routes: [{
+      url: "https://a.test/next", navigationType: "soft", startTime: 3000, durationMs: 1000,
+      lcp: 400, inp: null, cls: 0, longTasks: { count: 0, totalMs: 0, maxMs: 0 },
+      network: { requests: 1, transferredBytes: 512 },
+    }],
+    frames: [{ url: "https://b.test/embed", cls: null, longTasks: null, requests: 1, transferredBytes: 256 }],
+    coverage: {
+      js: { files: 1, totalBytes: 1024, unusedBytes: 512 },
+      css: { files: 0, totalBytes: 0, unusedBytes: 0 },
+      files: [{ url: "https://a.test/app.js", type: "js", totalBytes: 1024, unusedBytes: 512, unusedPct: 50 }],
+    },
+    runtimeMetrics: [{ t: 0, heapUsed: 1000 }, { t: 1000, heapUsed: 1100 }],
+    longAnimationFrames: {
+      count: 1,
+      totalBlockingMs: 20,
+      worst: [{ startTime: 100, duration: 70, scripts: [{ ...script }], interactionIds: [] }],
+      topScripts: [{ sourceURL: "https://a.test/app.js", functionName: "onClick", invoker: "click", totalMs: 40, frames: 1 }],
+    },
+    mainThread: { totalMs: 40, categories: { scripting: 40 }, topScripts: [{ url: "https://a.test/app.js", durationMs: 40 }] },
+    cpuProfile: { functions: [{ functionName: "onClick", url: "https://a.test/app.js", selfMs: 10, totalMs: 40 }] },
+    budget: { results: [{ key: "lcp", label: "LCP", unit: "ms", limit: 2500, actual: 1800 }] },
+    batch: {
+      count: 1,
+      representative: 0,
+      stats: {},
+      runs: [{
+        timestamp: "2026-01-01T00:00:00.000Z", requestsTotal: 2, transferredBytes: 2048, outliers: [],
+        timings: { ttfb: 100, fcp: 900, lcp: 1800, cls: 0.02, load: 2000 },
+      }],
+    },
+    insights: [{ cls: "good", text: "Page performance looks good!" }],
+  };
+}
+
+// One malformed variant per section, with the path its error names
+const MALFORMED = [
+  ["network",                   d => { d.network.requestsTotal = "<img src=x onerror=alert(1)>"; }],
+  ["network.failures[0]",       d => { d.network.failures[0].url = 7; }],
+  ["network.byDomain[0]",       d => { d.network.byDomain[0].domain = null; }],
+  ["network.byEntity[0]",       d => { d.network.byEntity[0].category = { toString: null }; }],
+  ["network.byEntity[0]",       d => { d.network.byEntity[0].domains = "a.test"; }],
+  ["network.byType[0]",         d => { d.network.byType[0].bytes = "1 KB"; }],
+  ["network.slowest[0]",        d => { d.network.slowest[0].url = ["u"]; }],
+  ["network.requests[0]",       d => { d.network.requests[0].type = 3; }],
+  ["longTasks",                 d => { d.longTasks.totalMs = "80"; }],
+  ["lcpBreakdown",              d => { d.lcpBreakdown.loadDelay = "200"; }],
+  ["renderBlocking",            d => { d.renderBlocking.byType = []; }],
+  ["renderBlocking.resources",  d => { d.renderBlocking.resources[0].url = null; }],
+  ["criticalChains[0]",         d => { d.criticalChains[0].steps = null; }],
+  ["criticalChains[0].steps",   d => { d.criticalChains[0].steps[0].type = null; }],
+  ["clsSources[0]",             d => { d.clsSources[0].sources = null; }],
+  ["clsSources[0]",             d => { d.clsSources[0].value = "0.02"; }],
+  ["clsSources[0].sources",     d => { d.clsSources[0].sources[0].node = 1; }],
+  ["layoutShifts",              d => { d.layoutShifts.total = null; }],
+  ["layoutShifts.worstWindow",  d => { d.layoutShifts.worstWindow.start = "0"; }],
+  ["interactions[0]",           d => { d.interactions[0].type = null; }],
+  ["interactions[0].scripts",   d => { d.interactions[0].scripts[0].sourceURL = 1; }],
+  ["routes[0]",                 d => { d.routes[0].cls = "0"; }],
+  ["routes[0].longTasks",       d => { d.routes[0].longTasks = null; }],
+  ["routes[0].network",         d => { d.routes[0].network.requests = "1"; }],
+  ["frames[0]",                 d => { d.frames[0].cls = "0.1"; }],
+  ["coverage",                  d => { d.coverage.files = {}; }],
+  ["coverage.js",               d => { d.coverage.js.unusedBytes = null; }],
+  ["coverage.files[0]",         d => { d.coverage.files[0].type = 1; }],
+  ["runtimeMetrics[0]",         d => { d.runtimeMetrics[0].heapUsed = "1000"; }],
+  ["longAnimationFrames",       d => { d.longAnimationFrames.worst = null; }],
+  ["longAnimationFrames.worst", d => { d.longAnimationFrames.worst[0].scripts[0].duration = "40"; }],
+  ["longAnimationFrames.topScripts", d => { d.longAnimationFrames.topScripts[0].totalMs = "40"; }],
+  ["mainThread",                d => { d.mainThread.categories = null; }],
+  ["mainThread.topScripts[0]",  d => { d.mainThread.topScripts[0].url = null; }],
+  ["cpuProfile",                d => { d.cpuProfile.idleMs = "0"; }],
+  ["cpuProfile.functions[0]",   d => { d.cpuProfile.functions[0].functionName = 0; }],
+  ["budget.results[0]",         d => { d.budget.results[0].limit = null; }],
+  ["budget.results[0]",         d => { d.budget.results[0].actual = "1800"; }],
+  ["batch",                     d => { d.batch.runs = {}; }],
+  ["batch.runs[0]",             d => { d.batch.runs[0].outliers = null; }],
+  ["batch.runs[0].timings",     d => { d.batch.runs[0].timings.cls = "0.02"; }],
+  ["insights[0]",               d => { d.insights[0].cls = "good\" onclick=\"alert(1)"; }],
+];
+
+test("a well-formed report imports", () => {
+  const report = parseRunReport(JSON.stringify(wellFormed()));
+  assert.equal(report.schemaVersion, 2);
+  assert.equal(report.network.byEntity[0].category, "first-party");
+});
+
+test("a version 1 report gains the sections added since", () => {
+  const { schemaVersion: _v, routes: _r, frames: _f, ...data } = wellFormed();
+  const report = parseRunReport(JSON.stringify(data));
+  assert.equal(report.schemaVersion, 2);
+  assert.deepEqual(report.routes, []);
+  assert.deepEqual(report.frames, []);
+});
+
+for (const [path, mutate] of MALFORMED) {
+  test(`a malformed ${path} is rejected`, () => {
+    const data = wellFormed();
+    mutate(data);
+    assert.throws(() => parseRunReport(JSON.stringify(data)), err =>
+      err.message.startsWith(`Not a RunReport: ${path}`));
+  });
+}
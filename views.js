@@ -0,0 +1,1177 @@
+/**
+ * views.js
+ *
+ * Rendering shared by the extension pages (popup, report viewer, comparison
+ * and monitoring dashboard):
+ *  - Rendering a RunReport (scorecard, timeline, insights, tables, charts)
+ *  - Trend charts, run comparison tables and exports
+ *
+ * An ES module over report.js: it re-exports the report builder, import,
+ * comparison and history storage, so pages import everything from here and
+ * every run is built and stored by the same code as the service worker's.
+ * Pages render into the same element ids; a page whose body has the
+ * `full-page` class gets every table row instead of the top N.
+ */
+
+import {
+  THRESHOLDS,
+  rateMetric,
+  MAIN_THREAD_LABELS,
+  LCP_SUBPARTS,
+  dominantInteractionPhase,
+  scriptLabel,
+  routeLabel,
+  fileOf,
+  hostOf,
+  RUNTIME_METRICS,
+  runtimeGrowth,
+  formatBytes,
+  formatBudgetValue,
+  formatRuntimeValue,
+  formatMs,
+  INSIGHT_CLASSES,
+  NO_PHASES,
+  BATCH_METRICS,
+  TREND_METRICS,
+  trendSeries,
+  stripCoverageExport,
+} from "./report.js";
+
+export * from "./report.js";
+
+// ── DOM refs ───────────────────────────────────────────────────────────────────
+
+export const $ = id => document.getElementById(id);
+
+export const resultsSection = $("results");
+
+const scorecardEl    = $("scorecard");
+const timelineBar    = $("timeline-bar");
+const timelineLabels = $("timeline-labels");
+const insightsList   = $("insights-list");
+const btnExport      = $("btn-export");
+const btnHar         = $("btn-har");
+const btnCoverage    = $("btn-coverage");
+const deltaSection   = $("delta-section");
+const scorecardDelta = $("scorecard-delta");
+const traceNotice    = $("trace-notice");
+const batchSection   = $("batch-section");
+const budgetSection  = $("budget-section");
+const mainThreadSection = $("main-thread-section");
+
+// The full-page viewer lists every row; the popup keeps tables short
+const FULL_VIEW = document.body.classList.contains("full-page");
+
+function rowLimit(n) {
+  return FULL_VIEW ? Infinity : n;
+}
+
+// ── Render report ──────────────────────────────────────────────────────────────
+
+export function renderReport(report, prevReport) {
+  resultsSection.classList.remove("hidden");
+
+  renderScorecard(report, prevReport);
+  renderTimeline(report.timings);
+  renderLcpBreakdown(report.lcpBreakdown, report.timings.lcp);
+  renderInsights(report.insights);
+  renderByType(report.network.byType ?? report.resources?.byType ?? []);
+  renderDomains(report.network.byDomain);
+  renderEntities(report.network.byEntity);
+  renderSlowest(FULL_VIEW && report.network.requests?.length
+    ? allRequestsBySlowest(report.network.requests)
+    : report.network.slowest ?? report.resources?.slowest ?? []);
+  renderWaterfall(report);
+  renderRenderBlocking(report.renderBlocking);
+  renderCriticalChains(report.criticalChains);
+  renderTraceNotice(report.trace);
+  renderBatch(report.batch);
+  renderBudget(report.budget);
+  renderMainThread(report.mainThread);
+  renderCpuProfile(report.cpuProfile);
+  renderLayoutShifts(report.layoutShifts, report.clsSources);
+  renderInteractions(report.interactions, report.interactionStats);
+  renderLongAnimationFrames(report.longAnimationFrames);
+  renderRoutes(report.routes);
+  renderFrames(report.frames);
+  renderCoverage(report.coverage);
+  renderRuntimeMetrics(report.runtimeMetrics, report.timings.load);
+
+  btnExport.onclick = () => exportJSON(report);
+  // The HAR log is not kept in history, so the button only shows for fresh runs
+  btnHar.classList.toggle("hidden", !report.har);
+  btnHar.onclick = () => exportHAR(report);
+  btnCoverage.classList.toggle("hidden", !report.coverage?.export);
+  btnCoverage.onclick = () => exportCoverage(report);
+}
+
+// ── Scorecard ──────────────────────────────────────────────────────────────────
+
+const SCORECARD_TILES = [
+  { key: "lcp",  label: "LCP",    unit: "ms",  fmt: v => formatMs(v) },
+  { key: "inp",  label: "INP",    unit: "ms",  fmt: v => formatMs(v) },
+  { key: "cls",  label: "CLS",    unit: "",    fmt: v => (v == null ? "–" : v.toFixed(3)) },
+  { key: "ttfb", label: "TTFB",   unit: "ms",  fmt: v => formatMs(v) },
+  { key: "fcp",  label: "FCP",    unit: "ms",  fmt: v => formatMs(v) },
+  { key: "load", label: "Load",   unit: "ms",  fmt: v => formatMs(v), noRate: true },
+  {
+    key: "requests",
+    label: "Requests", unit: "",
+    fmt: (_, r) => r.network.requestsTotal ? String(Math.round(r.network.requestsTotal)) : "–",
+    noRate: true,
+  },
+  {
+    key: "transferred",
+    label: "Transferred", unit: "",
+    fmt: (_, r) => formatBytes(r.network.transferredBytes),
+    noRate: true,
+  },
+  {
+    key: "longTasks",
+    label: "Long Tasks", unit: "ms",
+    fmt: (_, r) => r.longTasks.totalMs ? `${Math.round(r.longTasks.totalMs)}` : "0",
+    noRate: true,
+  },
+];
+
+// Scorecard tile key → BUDGET_METRICS key
+const TILE_BUDGET_KEYS = {
+  lcp: "lcp", inp: "inp", cls: "cls", ttfb: "ttfb", fcp: "fcp",
+  requests: "requests", transferred: "totalBytes", longTasks: "longTaskMs",
+};
+
+function renderScorecard(report, prevReport) {
+  scorecardEl.innerHTML = "";
+  for (const tile of SCORECARD_TILES) {
+    const value = tile.key in report.timings
+      ? report.timings[tile.key]
+      : null;
+    const display = tile.fmt(value, report);
+    const budget = report.budget?.results.find(b => b.key === TILE_BUDGET_KEYS[tile.key]);
+    const rating = budget && !budget.pass
+      ? "over-budget"
+      : tile.noRate ? "neutral" : rateMetric(tile.key, value);
+
+    let deltaHtml = "";
+    if (prevReport && !tile.noRate && value != null) {
+      const prevVal = prevReport.timings[tile.key];
+      if (prevVal != null) {
+        const diff = value - prevVal;
+        // For CLS, lower is better; for LCP/INP etc. lower is better too
+        const better = diff < 0;
+        const diffStr = (diff > 0 ? "+" : "") + (tile.key === "cls" ? diff.toFixed(3) : Math.round(diff) + " ms");
+        deltaHtml = `<span class="tile-delta ${better ? "better" : "worse"}">${diffStr}</span>`;
+      }
+    }
+
+    scorecardEl.insertAdjacentHTML("beforeend", `
+      <div class="tile ${rating}">
+        <div class="tile-label">${tile.label}</div>
+        <div class="tile-value">${display}${tile.unit ? `<span class="tile-unit"> ${tile.unit}</span>` : ""}</div>
+        ${budget ? `<span class="tile-budget">budget ${formatBudgetValue(budget.unit, budget.limit)}</span>` : ""}
+        ${deltaHtml}
+      </div>
+    `);
+  }
+}
+
+// ── Timeline ───────────────────────────────────────────────────────────────────
+
+const TIMELINE_MARKERS = [
+  { key: "ttfb", label: "TTFB", color: "#6c63ff" },
+  { key: "fcp",  label: "FCP",  color: "#00bcd4" },
+  { key: "lcp",  label: "LCP",  color: "#ff9800" },
+  { key: "load", label: "Load", color: "#4caf50" },
+];
+
+function renderTimeline(timings) {
+  timelineBar.innerHTML = "";
+  timelineLabels.innerHTML = "";
+
+  const maxVal = Math.max(
+    ...[timings.load, timings.lcp, 100].filter(v => v != null && v > 0)
+  );
+
+  for (const m of TIMELINE_MARKERS) {
+    const val = timings[m.key];
+    if (val == null || val <= 0) continue;
+    const pct = Math.min(100, (val / maxVal) * 100);
+    timelineBar.insertAdjacentHTML("beforeend",
+      `<div class="timeline-marker" style="left:${pct}%;background:${m.color}" title="${m.label}: ${Math.round(val)}ms"></div>`
+    );
+    timelineLabels.insertAdjacentHTML("beforeend",
+      `<span class="timeline-lbl" style="left:${pct}%;color:${m.color}">${m.label}<br>${Math.round(val)}ms</span>`
+    );
+  }
+}
+
+// LCP sub-parts as a stacked bar spanning 0 → LCP
+// Sub-part colours, keyed like LCP_SUBPARTS
+const LCP_SUBPART_COLORS = {
+  ttfb:         "#6c63ff",
+  loadDelay:    "#e57373",
+  loadDuration: "#4a90e2",
+  renderDelay:  "#ff9800",
+};
+
+function renderLcpBreakdown(breakdown, lcp) {
+  const wrap = $("lcp-breakdown");
+  if (!breakdown || !lcp) {
+    wrap.classList.add("hidden");
+    return;
+  }
+  wrap.classList.remove("hidden");
+
+  const bar = $("lcp-breakdown-bar");
+  const legend = $("lcp-breakdown-legend");
+  bar.innerHTML = "";
+  legend.innerHTML = "";
+  for (const part of LCP_SUBPARTS) {
+    const ms = breakdown[part.key];
+    if (ms == null) continue;
+    if (ms > 0) {
+      bar.insertAdjacentHTML("beforeend",
+        `<div class="stack-seg" style="width:${(ms / lcp) * 100}%;background:${LCP_SUBPART_COLORS[part.key]}" title="${part.label}: ${Math.round(ms)}ms"></div>`
+      );
+    }
+    legend.insertAdjacentHTML("beforeend",
+      `<span><span class="swatch" style="background:${LCP_SUBPART_COLORS[part.key]}"></span>${part.label} ${Math.round(ms)}ms</span>`
+    );
+  }
+}
+
+// ── Insights ───────────────────────────────────────────────────────────────────
+
+function renderInsights(insights) {
+  insightsList.innerHTML = "";
+  for (const ins of insights) {
+    const cls = typeof ins === "object" && INSIGHT_CLASSES.has(ins.cls) ? ins.cls : "needs";
+    const text = typeof ins === "object" ? ins.text : ins;
+    insightsList.insertAdjacentHTML("beforeend", `<li class="${cls}">${escHtml(text)}</li>`);
+  }
+}
+
+// ── Tables ─────────────────────────────────────────────────────────────────────
+
+function renderByType(byType) {
+  const tbody = document.querySelector("#tbl-by-type tbody");
+  tbody.innerHTML = "";
+  if (!byType || byType.length === 0) {
+    tbody.insertAdjacentHTML("beforeend", `<tr><td colspan="3" style="color:var(--text2)">No data</td></tr>`);
+    return;
+  }
+  const sorted = [...byType].sort((a, b) => b.bytes - a.bytes);
+  for (const row of sorted) {
+    tbody.insertAdjacentHTML("beforeend",
+      `<tr><td>${escHtml(row.type)}</td><td>${row.requests}</td><td>${formatBytes(row.bytes)}</td></tr>`
+    );
+  }
+}
+
+function renderDomains(byDomain) {
+  const tbody = document.querySelector("#tbl-domains tbody");
+  tbody.innerHTML = "";
+  if (!byDomain || byDomain.length === 0) {
+    tbody.insertAdjacentHTML("beforeend", `<tr><td colspan="4" style="color:var(--text2)">No data</td></tr>`);
+    return;
+  }
+  const sorted = [...byDomain].sort((a, b) => b.bytes - a.bytes).slice(0, rowLimit(15));
+  for (const row of sorted) {
+    tbody.insertAdjacentHTML("beforeend",
+      `<tr>
+        <td title="${escHtml(row.domain)}">${escHtml(row.domain)}</td>
+        <td>${row.requests}</td>
+        <td>${formatBytes(row.bytes)}</td>
+        <td>${row.thirdParty ? '<span class="tag-3p">3P</span>' : ""}</td>
+      </tr>`
+    );
+  }
+}
+
+function renderEntities(byEntity) {
+  const section = $("entities-section");
+  const thirdParty = (byEntity ?? []).filter(e => !e.firstParty);
+  if (thirdParty.length === 0) {
+    section.classList.add("hidden");
+    return;
+  }
+  section.classList.remove("hidden");
+
+  const tbody = document.querySelector("#tbl-entities tbody");
+  tbody.innerHTML = "";
+  for (const e of thirdParty.slice(0, rowLimit(15))) {
+    tbody.insertAdjacentHTML("beforeend",
+      `<tr>
+        <td title="${escHtml(e.domains.join(", "))}">${escHtml(e.name)}</td>
+        <td>${escHtml(e.known ? e.category : "unknown")}</td>
+        <td>${e.requests}</td>
+        <td>${formatBytes(e.bytes)}</td>
+        <td>${e.mainThreadMs == null ? "–" : `${formatMs(e.mainThreadMs)} ms`}</td>
+      </tr>`
+    );
+  }
+}
+
+// Waterfall rows in the shape of network.slowest, for the untruncated table
+function allRequestsBySlowest(requests) {
+  return requests
+    .map(r => ({ url: r.url, type: r.type, durationMs: r.totalMs, transferBytes: r.transferBytes }))
+    .sort((a, b) => b.durationMs - a.durationMs);
+}
+
+function renderSlowest(slowest) {
+  const tbody = document.querySelector("#tbl-slowest tbody");
+  tbody.innerHTML = "";
+  if (!slowest || slowest.length === 0) {
+    tbody.insertAdjacentHTML("beforeend", `<tr><td colspan="4" style="color:var(--text2)">No data</td></tr>`);
+    return;
+  }
+  for (const row of slowest) {
+    const shortUrl = row.url ? row.url.split("/").pop().slice(0, 40) || row.url.slice(-40) : "–";
+    tbody.insertAdjacentHTML("beforeend",
+      `<tr>
+        <td title="${escHtml(row.url)}">${escHtml(shortUrl)}</td>
+        <td>${escHtml(row.type ?? "–")}</td>
+        <td>${formatMs(row.durationMs)} ms</td>
+        <td>${formatBytes(row.transferBytes)}</td>
+      </tr>`
+    );
+  }
+}
+
+// ── Waterfall ──────────────────────────────────────────────────────────────────
+
+// Phase colours follow the DevTools Network panel
+const WATERFALL_PHASES = [
+  { key: "blocked", label: "Queued",   color: "#8a8aa0" },
+  { key: "dns",     label: "DNS",      color: "#1f9c9c" },
+  { key: "connect", label: "Connect",  color: "#e6893a" },
+  { key: "ssl",     label: "TLS",      color: "#b36cd9" },
+  { key: "send",    label: "Send",     color: "#607080" },
+  { key: "wait",    label: "Wait",     color: "#4caf50" },
+  { key: "receive", label: "Download", color: "#4a90e2" },
+];
+
+const WATERFALL_MARKERS = [
+  { key: "fcp",  label: "FCP",  color: "#00bcd4" },
+  { key: "lcp",  label: "LCP",  color: "#ff9800" },
+  { key: "dcl",  label: "DCL",  color: "#9b6cff" },
+  { key: "load", label: "Load", color: "#e57373" },
+];
+
+let waterfallReport = null;
+
+function renderWaterfall(report) {
+  const section = $("waterfall-section");
+  const requests = report.network.requests ?? [];
+  if (requests.length === 0) {
+    section.classList.add("hidden");
+    waterfallReport = null;
+    return;
+  }
+  section.classList.remove("hidden");
+  waterfallReport = report;
+
+  const fillSelect = (select, allLabel, values) => {
+    select.innerHTML = `<option value="">${allLabel}</option>` +
+      [...new Set(values)].sort().map(v => `<option value="${escHtml(v)}">${escHtml(v)}</option>`).join("");
+  };
+  fillSelect($("waterfall-type"), "All types", requests.map(r => r.type));
+  fillSelect($("waterfall-domain"), "All domains", requests.map(r => r.domain ?? "unknown"));
+  $("waterfall-zoom").value = 1;
+
+  $("waterfall-legend").innerHTML = [...WATERFALL_PHASES, ...WATERFALL_MARKERS]
+    .map(p => `<span><span class="swatch" style="background:${p.color}"></span>${p.label}</span>`)
+    .join("");
+  drawWaterfall();
+}
+
+function drawWaterfall() {
+  const report = waterfallReport;
+  if (!report) return;
+  const type = $("waterfall-type").value;
+  const domain = $("waterfall-domain").value;
+  const zoom = Number($("waterfall-zoom").value) || 1;
+  const rows = report.network.requests.filter(r =>
+    (!type || r.type === type) && (!domain || (r.domain ?? "unknown") === domain)
+  );
+  $("waterfall-count").textContent = `${rows.length} of ${report.network.requests.length} requests`;
+
+  // Time axis from 0 to the latest request end or page marker, whichever is later
+  const markers = WATERFALL_MARKERS.filter(m => report.timings[m.key] > 0);
+  const maxMs = Math.max(
+    100,
+    ...rows.map(r => r.startMs + r.totalMs),
+    ...markers.map(m => report.timings[m.key])
+  );
+  const pct = ms => (Math.max(0, ms) / maxMs) * 100;
+
+  const names = $("waterfall-names");
+  const chart = $("waterfall-chart");
+  chart.style.width = `${zoom * 100}%`;
+
+  const tickCount = 4 * zoom;
+  let ruler = "";
+  for (let i = 0; i <= tickCount; i++) {
+    ruler += `<span class="wf-tick" style="left:${(i / tickCount) * 100}%">${Math.round((maxMs * i) / tickCount)}</span>`;
+  }
+
+  let namesHtml = `<div class="wf-row wf-head">ms</div>`;
+  let rowsHtml = `<div class="wf-row wf-head">${ruler}</div>`;
+  for (const r of rows) {
+    const name = r.url.split("?")[0].split("/").pop() || r.url;
+    const phases = r.phases ?? NO_PHASES;
+    const title = [
+      r.url,
+      `${r.type} · ${r.status ?? (r.failed ? "failed" : "–")}${r.fromCache ? " · cache" : ""}${r.redirect ? " · redirect" : ""}`,
+      `start ${Math.round(r.startMs)} ms, total ${Math.round(r.totalMs)} ms`,
+      ...WATERFALL_PHASES.filter(p => phases[p.key] > 0).map(p => `${p.label}: ${Math.round(phases[p.key])} ms`),
+    ].join("\n");
+
+    // TLS is reported inside connect; draw it as its own segment
+    const widths = { ...phases, connect: phases.connect - Math.max(0, phases.ssl) };
+    const segs = WATERFALL_PHASES
+      .filter(p => widths[p.key] > 0)
+      .map(p => `<div class="wf-seg" style="flex:${widths[p.key]};background:${p.color}"></div>`)
+      .join("");
+
+    const rowClass = [r.failed && "poor-text", r.renderBlocking && "wf-blocking"].filter(Boolean).join(" ");
+    namesHtml += `<div class="wf-row ${rowClass}" title="${escHtml(title)}">${escHtml(name)}</div>`;
+    rowsHtml += `<div class="wf-row" title="${escHtml(title)}">
+      <div class="wf-bar" style="left:${pct(r.startMs)}%;width:${Math.max(pct(r.totalMs), 0.3)}%">${segs}</div>
+    </div>`;
+  }
+  for (const m of markers) {
+    rowsHtml += `<div class="wf-marker" style="left:${pct(report.timings[m.key])}%;background:${m.color}" title="${m.label}: ${Math.round(report.timings[m.key])} ms"></div>`;
+  }
+  names.innerHTML = namesHtml;
+  chart.innerHTML = rowsHtml;
+}
+
+// The compare page has no waterfall
+$("waterfall-type")?.addEventListener("change", drawWaterfall);
+$("waterfall-domain")?.addEventListener("change", drawWaterfall);
+$("waterfall-zoom")?.addEventListener("input", drawWaterfall);
+
+// ── Render-blocking resources ──────────────────────────────────────────────────
+
+function renderRenderBlocking(renderBlocking) {
+  const section = $("render-blocking-section");
+  if (!renderBlocking) {
+    section.classList.add("hidden");
+    return;
+  }
+  section.classList.remove("hidden");
+
+  const source = renderBlocking.source === "resource-timing" ? "Resource Timing" : "request priority";
+  $("render-blocking-summary").textContent =
+    `${renderBlocking.resources.length} resource(s) blocked first render, ~${renderBlocking.fcpDelayMs} ms before FCP (detected from ${source}).`;
+
+  const tbody = document.querySelector("#tbl-render-blocking tbody");
+  tbody.innerHTML = "";
+  for (const r of renderBlocking.resources) {
+    const name = r.url.split("?")[0].split("/").pop() || r.url;
+    tbody.insertAdjacentHTML("beforeend",
+      `<tr>
+        <td title="${escHtml(r.url)}">${escHtml(name.slice(0, 40))}</td>
+        <td>${escHtml(r.type)}</td>
+        <td>${formatMs(r.durationMs)} ms</td>
+        <td>${formatMs(r.fcpCostMs)} ms</td>
+      </tr>`
+    );
+  }
+}
+
+// ── Critical request chains ────────────────────────────────────────────────────
+
+function renderCriticalChains(chains) {
+  const section = $("chains-section");
+  if (!chains || chains.length === 0) {
+    section.classList.add("hidden");
+    return;
+  }
+  section.classList.remove("hidden");
+
+  const list = $("chains-list");
+  list.innerHTML = "";
+  for (const chain of chains) {
+    const steps = chain.steps.map((s, i) => `
+      <div class="chain-step" style="padding-left:${i * 10}px" title="${escHtml(s.url)}">
+        ${i > 0 ? "└ " : ""}${escHtml(fileOf(s.url).slice(0, 40))}
+        <span class="hist-time">${escHtml(s.type)} · ${formatMs(s.startMs)}–${formatMs(s.endMs)} ms${s.discoveryMs > 0 ? ` · found ${formatMs(s.discoveryMs)} ms after parent` : ""}</span>
+      </div>`).join("");
+    list.insertAdjacentHTML("beforeend", `
+      <div class="route-card">
+        <div class="route-head">
+          <span>${chain.kind === "lcp" ? "LCP resource" : "Late font"}</span>
+          <span class="hist-time">${chain.depth} request(s) · ${formatMs(chain.totalMs)} ms</span>
+        </div>
+        ${steps}
+      </div>
+    `);
+  }
+}
+
+// ── Budget results ─────────────────────────────────────────────────────────────
+
+function renderBudget(budget) {
+  if (!budget) {
+    budgetSection.classList.add("hidden");
+    return;
+  }
+  budgetSection.classList.remove("hidden");
+  const failed = budget.results.filter(r => !r.pass).length;
+  $("budget-title").textContent = failed ? `Budgets (${failed} over)` : "Budgets (all met)";
+
+  const tbody = document.querySelector("#tbl-budget tbody");
+  tbody.innerHTML = "";
+  for (const r of budget.results) {
+    tbody.insertAdjacentHTML("beforeend",
+      `<tr>
+        <td>${escHtml(r.label)}</td>
+        <td>${formatBudgetValue(r.unit, r.limit)}</td>
+        <td>${formatBudgetValue(r.unit, r.actual)}</td>
+        <td class="${r.pass ? "budget-pass" : "budget-fail"}">${r.pass ? "✓" : "✗"}</td>
+      </tr>`
+    );
+  }
+}
+
+// ── Batch tables ───────────────────────────────────────────────────────────────
+
+function formatBatchValue(key, v) {
+  if (typeof v !== "number" || isNaN(v)) return "–";
+  if (key === "cls") return v.toFixed(3);
+  if (key === "transferred") return formatBytes(Math.round(v));
+  if (key === "requests") return String(Math.round(v));
+  return `${formatMs(v)} ms`;
+}
+
+function renderBatch(batch) {
+  if (!batch) {
+    batchSection.classList.add("hidden");
+    return;
+  }
+  batchSection.classList.remove("hidden");
+  $("batch-title").textContent = `Batch Statistics (${batch.count} runs)`;
+
+  const statsBody = document.querySelector("#tbl-batch-stats tbody");
+  statsBody.innerHTML = "";
+  for (const m of BATCH_METRICS) {
+    const st = batch.stats[m.key];
+    if (!st) continue;
+    statsBody.insertAdjacentHTML("beforeend",
+      `<tr>
+        <td>${m.label}</td>
+        <td>${formatBatchValue(m.key, st.median)}</td>
+        <td>${formatBatchValue(m.key, st.p75)}</td>
+        <td>${formatBatchValue(m.key, st.min)}</td>
+        <td>${formatBatchValue(m.key, st.max)}</td>
+        <td>${formatBatchValue(m.key, st.spread)}</td>
+      </tr>`
+    );
+  }
+
+  const runsBody = document.querySelector("#tbl-batch-runs tbody");
+  runsBody.innerHTML = "";
+  batch.runs.forEach((run, i) => {
+    const cell = (key, v) =>
+      `<td class="${run.outliers.includes(key) ? "outlier" : ""}">${formatBatchValue(key, v)}</td>`;
+    runsBody.insertAdjacentHTML("beforeend",
+      `<tr title="${i === batch.representative ? "Representative run (tables above)" : ""}">
+        <td>${i + 1}${i === batch.representative ? " ★" : ""}</td>
+        ${cell("lcp", run.timings.lcp)}
+        ${cell("fcp", run.timings.fcp)}
+        ${cell("ttfb", run.timings.ttfb)}
+        ${cell("cls", run.timings.cls)}
+        ${cell("load", run.timings.load)}
+        ${cell("transferred", run.transferredBytes)}
+      </tr>`
+    );
+  });
+}
+
+// ── SPA routes ─────────────────────────────────────────────────────────────────
+
+function renderRoutes(routes) {
+  const section = $("routes-section");
+  // A single route is the whole page, already shown above
+  if (!routes || routes.length < 2) {
+    section.classList.add("hidden");
+    return;
+  }
+  section.classList.remove("hidden");
+
+  const list = $("routes-list");
+  list.innerHTML = "";
+  for (const r of routes) {
+    const metric = (label, key, value, text) =>
+      `<div class="tile ${key ? rateMetric(key, value) : "neutral"}">
+        <div class="tile-label">${label}</div>
+        <div class="tile-value">${text}</div>
+      </div>`;
+    list.insertAdjacentHTML("beforeend", `
+      <div class="route-card">
+        <div class="route-head">
+          <span title="${escHtml(r.url)}">${escHtml(routeLabel(r.url))}</span>
+          <span class="tag-throttle">${r.navigationType === "hard" ? "page load" : "soft nav"}</span>
+          <span class="hist-time">+${formatMs(r.startTime)} ms · ${formatMs(r.durationMs)} ms</span>
+        </div>
+        <div class="scorecard">
+          ${metric("LCP", "lcp", r.lcp, formatMs(r.lcp))}
+          ${metric("INP", "inp", r.inp, formatMs(r.inp))}
+          ${metric("CLS", "cls", r.cls, r.cls == null ? "–" : r.cls.toFixed(3))}
+          ${metric("Long Tasks", null, null, `${Math.round(r.longTasks.totalMs)}`)}
+          ${metric("Requests", null, null, String(r.network.requests ?? "–"))}
+          ${metric("Transferred", null, null, formatBytes(r.network.transferredBytes))}
+        </div>
+      </div>
+    `);
+  }
+}
+
+// ── Frames ─────────────────────────────────────────────────────────────────────
+
+function renderFrames(frames) {
+  const section = $("frames-section");
+  if (!frames || frames.length < 2) {
+    section.classList.add("hidden");
+    return;
+  }
+  section.classList.remove("hidden");
+
+  const tbody = document.querySelector("#tbl-frames tbody");
+  tbody.innerHTML = "";
+  for (const f of frames) {
+    const name = f.main ? "(main frame)" : f.url ? hostOf(f.url) : "(unknown)";
+    tbody.insertAdjacentHTML("beforeend",
+      `<tr>
+        <td title="${escHtml(f.url ?? "")}">${escHtml(name)}${f.outOfProcess ? ` <span class="tag-3p">OOPIF</span>` : ""}</td>
+        <td>${f.cls == null ? "–" : f.cls.toFixed(3)}</td>
+        <td>${f.longTasks ? `${formatMs(f.longTasks.totalMs)} ms` : "–"}</td>
+        <td>${f.requests}</td>
+        <td>${formatBytes(f.transferredBytes)}</td>
+      </tr>`
+    );
+  }
+}
+
+// ── Coverage ───────────────────────────────────────────────────────────────────
+
+function renderCoverage(coverage) {
+  const section = $("coverage-section");
+  if (!coverage || coverage.files.length === 0) {
+    section.classList.add("hidden");
+    return;
+  }
+  section.classList.remove("hidden");
+
+  const summary = [["js", "JS"], ["css", "CSS"]]
+    .filter(([type]) => coverage[type].files > 0)
+    .map(([type, label]) => {
+      const t = coverage[type];
+      const pct = t.totalBytes > 0 ? Math.round((t.unusedBytes / t.totalBytes) * 100) : 0;
+      return `${label}: ${formatBytes(t.unusedBytes)} of ${formatBytes(t.totalBytes)} unused (${pct}%)`;
+    });
+  $("coverage-summary").textContent = summary.join(" · ");
+
+  const tbody = document.querySelector("#tbl-coverage tbody");
+  tbody.innerHTML = "";
+  for (const f of coverage.files.slice(0, rowLimit(15))) {
+    const cls = f.unusedPct >= 75 ? "poor-text" : f.unusedPct >= 50 ? "needs-text" : "";
+    tbody.insertAdjacentHTML("beforeend",
+      `<tr>
+        <td title="${escHtml(f.url)}">${escHtml(f.inline ? `${fileOf(f.url)} (inline)` : fileOf(f.url))}</td>
+        <td>${escHtml(f.type)}</td>
+        <td>${formatBytes(f.totalBytes)}</td>
+        <td>${formatBytes(f.unusedBytes)}</td>
+        <td class="${cls}">${f.unusedPct}%</td>
+      </tr>`
+    );
+  }
+}
+
+// ── Layout shifts ──────────────────────────────────────────────────────────────
+
+function renderLayoutShifts(layoutShifts, clsSources) {
+  const section = $("cls-section");
+  if (!layoutShifts || layoutShifts.shiftCount === 0) {
+    section.classList.add("hidden");
+    return;
+  }
+  section.classList.remove("hidden");
+
+  const win = layoutShifts.worstWindow;
+  $("cls-summary").textContent =
+    `CLS ${win.value.toFixed(3)} from the worst of ${layoutShifts.windowCount} session window(s) ` +
+    `(${Math.round(win.start)}–${Math.round(win.end)} ms, ${win.shiftCount} shift(s)). ` +
+    `Total of all ${layoutShifts.shiftCount} shift(s): ${layoutShifts.total.toFixed(3)}.`;
+
+  const tbody = document.querySelector("#tbl-cls tbody");
+  tbody.innerHTML = "";
+  for (const shift of clsSources) {
+    const nodes = shift.sources.map(s => s.node).filter(Boolean).join(", ");
+    tbody.insertAdjacentHTML("beforeend",
+      `<tr>
+        <td>${formatMs(shift.startTime)} ms</td>
+        <td>${shift.value.toFixed(4)}</td>
+        <td title="${escHtml(nodes)}">${escHtml(nodes || "–")}</td>
+      </tr>`
+    );
+  }
+}
+
+// ── Interactions ───────────────────────────────────────────────────────────────
+
+function renderInteractions(interactions, stats) {
+  const section = $("interactions-section");
+  if (!interactions || interactions.length === 0) {
+    section.classList.add("hidden");
+    return;
+  }
+  section.classList.remove("hidden");
+
+  // Percentiles below the 16ms observation threshold come back as null
+  const pct = v => (v == null ? "<16" : formatMs(v));
+  $("interactions-summary").textContent = stats
+    ? `${stats.count} interaction(s), ${stats.observed} ≥ 16 ms · p50 ${pct(stats.p50)} · p75 ${pct(stats.p75)} · p98 ${pct(stats.p98)} ms`
+    : "";
+
+  const tbody = document.querySelector("#tbl-interactions tbody");
+  tbody.innerHTML = "";
+  for (const i of interactions.slice(0, rowLimit(10))) {
+    const dominant = dominantInteractionPhase(i)?.key;
+    const phase = key => `<td class="${key === dominant ? "phase-dominant" : ""}">${formatMs(i[key])}</td>`;
+    tbody.insertAdjacentHTML("beforeend",
+      `<tr>
+        <td>${escHtml(i.type)}</td>
+        <td title="${escHtml(i.target ?? "")}">${escHtml(i.target ?? "–")}</td>
+        <td class="${rateMetric("inp", i.duration)}-text">${formatMs(i.duration)}</td>
+        ${phase("inputDelay")}
+        ${phase("processingTime")}
+        ${phase("presentationDelay")}
+        <td title="${escHtml((i.scripts ?? []).map(scriptLabel).join("\n"))}">${i.scripts?.[0] ? escHtml(scriptLabel(i.scripts[0])) : "–"}</td>
+      </tr>`
+    );
+  }
+}
+
+// ── Long animation frames ──────────────────────────────────────────────────────
+
+function renderLongAnimationFrames(loaf) {
+  const section = $("loaf-section");
+  if (!loaf) {
+    section.classList.add("hidden");
+    return;
+  }
+  section.classList.remove("hidden");
+  $("loaf-title").textContent =
+    `Long Animation Frames (${loaf.count}, ${Math.round(loaf.totalBlockingMs)} ms blocking)`;
+
+  const framesBody = document.querySelector("#tbl-loaf-frames tbody");
+  framesBody.innerHTML = "";
+  for (const f of loaf.worst.slice(0, rowLimit(10))) {
+    framesBody.insertAdjacentHTML("beforeend",
+      `<tr>
+        <td>${formatMs(f.startTime)}</td>
+        <td>${formatMs(f.duration)}</td>
+        <td>${formatMs(f.blockingDuration)}</td>
+        <td>${formatMs(f.renderDuration)}</td>
+        <td title="${escHtml(f.scripts.map(scriptLabel).join("\n"))}">${f.scripts[0] ? escHtml(scriptLabel(f.scripts[0])) : "–"}</td>
+        <td>${f.interactionIds.length ? "⚡" + f.interactionIds.length : ""}</td>
+      </tr>`
+    );
+  }
+
+  const scriptsBody = document.querySelector("#tbl-loaf-scripts tbody");
+  scriptsBody.innerHTML = "";
+  for (const s of loaf.topScripts.slice(0, rowLimit(10))) {
+    scriptsBody.insertAdjacentHTML("beforeend",
+      `<tr>
+        <td title="${escHtml(s.sourceURL ?? "")}">${escHtml(scriptLabel(s))}</td>
+        <td title="${escHtml(s.invoker ?? "")}">${escHtml(s.invoker ?? "–")}</td>
+        <td>${formatMs(s.totalMs)} ms</td>
+        <td>${s.frames}</td>
+      </tr>`
+    );
+  }
+}
+
+// ── Main-thread breakdown ──────────────────────────────────────────────────────
+
+const MAIN_THREAD_COLORS = {
+  scripting:      "#f5c542",
+  styleLayout:    "#9b6cff",
+  paintComposite: "#4caf50",
+  parsing:        "#4a90e2",
+  gc:             "#e57373",
+  other:          "#607080",
+};
+
+function renderMainThread(mainThread) {
+  if (!mainThread || !mainThread.totalMs) {
+    mainThreadSection.classList.add("hidden");
+    return;
+  }
+  mainThreadSection.classList.remove("hidden");
+
+  const { totalMs, categories, topScripts = [] } = mainThread;
+  const bar = $("main-thread-bar");
+  bar.innerHTML = "";
+  const tbody = document.querySelector("#tbl-main-thread tbody");
+  tbody.innerHTML = "";
+
+  const sorted = Object.entries(categories).sort((a, b) => b[1] - a[1]);
+  for (const [cat, ms] of sorted) {
+    if (ms <= 0) continue;
+    const pct = (ms / totalMs) * 100;
+    bar.insertAdjacentHTML("beforeend",
+      `<div class="stack-seg" style="width:${pct}%;background:${MAIN_THREAD_COLORS[cat]}" title="${MAIN_THREAD_LABELS[cat]}: ${Math.round(ms)}ms"></div>`
+    );
+    tbody.insertAdjacentHTML("beforeend",
+      `<tr>
+        <td><span class="swatch" style="background:${MAIN_THREAD_COLORS[cat]}"></span>${MAIN_THREAD_LABELS[cat]}</td>
+        <td>${formatMs(ms)} ms</td>
+        <td>${pct.toFixed(1)}%</td>
+      </tr>`
+    );
+  }
+
+  const scriptsBody = document.querySelector("#tbl-top-scripts tbody");
+  scriptsBody.innerHTML = "";
+  if (topScripts.length === 0) {
+    scriptsBody.insertAdjacentHTML("beforeend", `<tr><td colspan="2" style="color:var(--text2)">No script attribution in trace</td></tr>`);
+  }
+  for (const row of topScripts.slice(0, rowLimit(10))) {
+    const shortUrl = row.url.split("/").pop().slice(0, 50) || row.url.slice(-50);
+    scriptsBody.insertAdjacentHTML("beforeend",
+      `<tr><td title="${escHtml(row.url)}">${escHtml(shortUrl)}</td><td>${formatMs(row.durationMs)} ms</td></tr>`
+    );
+  }
+}
+
+// ── CPU profile ────────────────────────────────────────────────────────────────
+
+function renderCpuProfile(cpuProfile) {
+  const section = $("profile-section");
+  if (!cpuProfile || cpuProfile.functions.length === 0) {
+    section.classList.add("hidden");
+    return;
+  }
+  section.classList.remove("hidden");
+
+  const busyMs = cpuProfile.durationMs - cpuProfile.idleMs;
+  $("profile-summary").textContent =
+    `${cpuProfile.sampleCount} samples over ${formatMs(cpuProfile.durationMs)} ms, ` +
+    `${formatMs(busyMs)} ms not idle.`;
+
+  const sortSelect = $("profile-sort");
+  const draw = () => {
+    const key = sortSelect.value;
+    const rows = [...cpuProfile.functions].sort((a, b) => b[key] - a[key]).slice(0, rowLimit(15));
+    const tbody = document.querySelector("#tbl-profile tbody");
+    tbody.innerHTML = "";
+    for (const fn of rows) {
+      const where = fn.url ? `${fileOf(fn.url)}:${fn.line}` : "–";
+      tbody.insertAdjacentHTML("beforeend",
+        `<tr>
+          <td>${escHtml(fn.functionName)}</td>
+          <td title="${escHtml(fn.url ? `${fn.url}:${fn.line}:${fn.column}` : "")}">${escHtml(where)}</td>
+          <td>${formatMs(fn.selfMs)}</td>
+          <td>${formatMs(fn.totalMs)}</td>
+        </tr>`
+      );
+    }
+  };
+  sortSelect.onchange = draw;
+  draw();
+}
+
+// ── Runtime metrics ────────────────────────────────────────────────────────────
+
+// Inline SVG polyline scaled to the sample range; `markT` draws a vertical tick
+function sparkline(samples, key, markT = null) {
+  const W = 120, H = 24;
+  const points = samples.filter(s => s[key] != null);
+  if (points.length < 2) return "";
+  const t0 = points[0].t, t1 = points[points.length - 1].t;
+  const values = points.map(s => s[key]);
+  const lo = Math.min(...values), hi = Math.max(...values);
+  const x = t => (((t - t0) / Math.max(t1 - t0, 1)) * W).toFixed(1);
+  const y = v => (H - 2 - ((v - lo) / Math.max(hi - lo, 1e-9)) * (H - 4)).toFixed(1);
+  const line = points.map(s => `${x(s.t)},${hi === lo ? H / 2 : y(s[key])}`).join(" ");
+  const mark = markT != null && markT > t0 && markT < t1
+    ? `<line class="spark-mark" x1="${x(markT)}" x2="${x(markT)}" y1="0" y2="${H}"/>`
+    : "";
+  return `<svg class="sparkline" viewBox="0 0 ${W} ${H}" width="${W}" height="${H}" preserveAspectRatio="none">${mark}<polyline points="${line}"/></svg>`;
+}
+
+function renderRuntimeMetrics(samples, loadMs) {
+  const section = $("runtime-section");
+  if (!samples || samples.length < 2) {
+    section.classList.add("hidden");
+    return;
+  }
+  section.classList.remove("hidden");
+
+  const grown = new Set(runtimeGrowth(samples, loadMs).map(g => g.key));
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  const tbody = document.querySelector("#tbl-runtime tbody");
+  tbody.innerHTML = "";
+  for (const m of RUNTIME_METRICS) {
+    if (last[m.key] == null) continue;
+    tbody.insertAdjacentHTML("beforeend",
+      `<tr>
+        <td>${m.label}</td>
+        <td>${sparkline(samples, m.key, loadMs)}</td>
+        <td>${formatRuntimeValue(m.unit, first[m.key])}</td>
+        <td class="${grown.has(m.key) ? "poor-text" : ""}">${formatRuntimeValue(m.unit, last[m.key])}</td>
+      </tr>`
+    );
+  }
+}
+
+// ── Trace notice ───────────────────────────────────────────────────────────────
+
+function renderTraceNotice(trace) {
+  if (!trace || (!trace.captured && !trace.profile)) {
+    traceNotice.classList.add("hidden");
+    return;
+  }
+  traceNotice.classList.remove("hidden");
+  const parts = [];
+  if (trace.captured) {
+    parts.push(`📊 Trace captured (${formatBytes(trace.sizeBytes)}). <button id="btn-dl-trace" class="btn btn-secondary btn-sm">⬇ Download Trace</button>`);
+  }
+  // The raw profile is not kept in history, so the button only shows for fresh runs
+  if (trace.profile) {
+    parts.push(`<button id="btn-dl-profile" class="btn btn-secondary btn-sm">⬇ Download .cpuprofile</button>`);
+  }
+  traceNotice.innerHTML = parts.join(" ");
+  if (trace.profile) {
+    document.getElementById("btn-dl-profile").onclick = () => {
+      const blob = new Blob([JSON.stringify(trace.profile)], { type: "application/json" });
+      downloadBlob(blob, "profile.cpuprofile");
+    };
+  }
+  if (!trace.captured) return;
+  document.getElementById("btn-dl-trace").onclick = () => {
+    if (trace.chunks) {
+      const blob = new Blob(
+        [`{"traceEvents":[${trace.chunks.join(",")}]}`],
+        { type: "application/json" }
+      );
+      downloadBlob(blob, "trace.json");
+    }
+  };
+}
+
+// ── Trend charts ───────────────────────────────────────────────────────────────
+
+function formatTrendValue(unit, v) {
+  if (unit === "bytes") return formatBytes(v);
+  if (unit === "ms") return `${formatMs(v)} ms`;
+  return v.toFixed(3);
+}
+
+// One SVG line chart; `current` (the report being viewed) is highlighted
+function trendChart(points, metric, current) {
+  const W = 540, H = 150, left = 56, right = 8, top = 8, bottom = 20;
+  const t = THRESHOLDS[metric.key];
+  const maxValue = Math.max(...points.map(p => p.value), t ? t.needs * 1.1 : 0);
+  const yMax = maxValue > 0 ? maxValue * 1.05 : 1;
+  const t0 = points[0].t, t1 = points[points.length - 1].t;
+  const x = ts => (t1 === t0 ? (left + W - right) / 2 : left + ((ts - t0) / (t1 - t0)) * (W - left - right));
+  const y = v => top + (1 - Math.min(v, yMax) / yMax) * (H - top - bottom);
+
+  const bands = t
+    ? [["good", 0, t.good], ["needs", t.good, t.needs], ["poor", t.needs, yMax]]
+        .filter(([, lo]) => lo < yMax)
+        .map(([cls, lo, hi]) =>
+          `<rect class="trend-band ${cls}" x="${left}" width="${W - left - right}" y="${y(hi)}" height="${y(lo) - y(hi)}"/>`)
+        .join("")
+    : "";
+  const line = points.map(p => `${x(p.t).toFixed(1)},${y(p.value).toFixed(1)}`).join(" ");
+  const dots = points.map(p =>
+    `<circle class="${p.report.meta.timestamp === current.meta.timestamp ? "current" : ""}" cx="${x(p.t).toFixed(1)}" cy="${y(p.value).toFixed(1)}" r="3">` +
+    `<title>${escHtml(new Date(p.t).toLocaleString())}: ${formatTrendValue(metric.unit, p.value)}</title></circle>`
+  ).join("");
+  const date = ts => new Date(ts).toLocaleDateString();
+
+  return `<div class="trend-chart">
+    <div class="section-note">${metric.label}</div>
+    <svg viewBox="0 0 ${W} ${H}" width="100%" preserveAspectRatio="xMinYMin meet">
+      ${bands}
+      <text class="trend-axis" x="${left - 4}" y="${top + 8}" text-anchor="end">${formatTrendValue(metric.unit, yMax)}</text>
+      <text class="trend-axis" x="${left - 4}" y="${H - bottom}" text-anchor="end">0</text>
+      <text class="trend-axis" x="${left}" y="${H - 4}">${date(t0)}</text>
+      <text class="trend-axis" x="${W - right}" y="${H - 4}" text-anchor="end">${date(t1)}</text>
+      <polyline points="${line}"/>
+      ${dots}
+    </svg>
+  </div>`;
+}
+
+// Trend charts of `history` (newest first) for the report viewer
+export function renderTrends(history, report) {
+  const section = $("trends-section");
+  const charts = TREND_METRICS
+    .map(m => ({ metric: m, points: trendSeries(history, m, report) }))
+    .filter(c => c.points.length >= 2);
+  if (charts.length === 0) {
+    section.classList.add("hidden");
+    return;
+  }
+  section.classList.remove("hidden");
+
+  const runs = Math.max(...charts.map(c => c.points.length));
+  const runsLabel = report.meta.throttling
+    ? `${runs} runs under ${report.meta.throttling.label}`
+    : `${runs} unthrottled runs`;
+  $("trends-note").textContent = `${runsLabel}; hover a point for its date and value.`;
+  $("trends-charts").innerHTML = charts.map(c => trendChart(c.points, c.metric, report)).join("");
+}
+
+// ── Comparison tables ──────────────────────────────────────────────────────────
+
+function formatDiffValue(unit, v) {
+  if (v == null) return "–";
+  if (unit === "bytes") return formatBytes(v);
+  if (unit === "ms") return `${formatMs(v)} ms`;
+  if (unit === "score") return v.toFixed(3);
+  return String(v);
+}
+
+function formatDiffDelta(unit, d) {
+  if (d == null) return "–";
+  if (d === 0) return "0";
+  return (d > 0 ? "+" : "−") + formatDiffValue(unit, Math.abs(d));
+}
+
+// Every compared metric is lower-is-better
+function deltaClass(d) {
+  if (!d) return "";
+  return d < 0 ? "good-text" : "poor-text";
+}
+
+function fillDiffTable(id, rows, colspan, rowHtml) {
+  const tbody = document.querySelector(`#${id} tbody`);
+  tbody.innerHTML = rows.length === 0
+    ? `<tr><td colspan="${colspan}" style="color:var(--text2)">None</td></tr>`
+    : rows.map(rowHtml).join("");
+}
+
+function urlCell(url) {
+  return `<td title="${escHtml(url)}">${escHtml(fileOf(url))} <span class="cell-note">${escHtml(hostOf(url))}</span></td>`;
+}
+
+// Render a diffReports() result on the compare page
+export function renderComparison(diff) {
+  resultsSection.classList.remove("hidden");
+
+  $("compare-warning").classList.toggle("hidden", diff.comparable);
+  const conditions = run => [run.throttling ?? "unthrottled", run.flow && `flow "${run.flow}"`].filter(Boolean).join(", ");
+  $("compare-warning").textContent = diff.comparable ? "" :
+    `⚠ Measured under different conditions (A: ${conditions(diff.base)}; ` +
+    `B: ${conditions(diff.target)}); deltas are not like-for-like.`;
+
+  fillDiffTable("tbl-diff-metrics", diff.metrics, 4, m => `<tr>
+      <td>${m.label}</td>
+      <td>${formatDiffValue(m.unit, m.base)}</td>
+      <td>${formatDiffValue(m.unit, m.target)}</td>
+      <td class="${deltaClass(m.delta)}">${formatDiffDelta(m.unit, m.delta)}</td>
+    </tr>`);
+
+  const insights = [
+    ...diff.insights.added.map(text => `<li class="poor">New: ${escHtml(text)}</li>`),
+    ...diff.insights.resolved.map(text => `<li class="good">Resolved: ${escHtml(text)}</li>`),
+  ];
+  $("diff-insights").innerHTML = insights.length > 0
+    ? insights.join("")
+    : `<li>No insights appeared or went away.</li>`;
+
+  const requests = diff.requests;
+  $("diff-requests").classList.toggle("hidden", !requests);
+  $("diff-requests-note").textContent = requests
+    ? `${requests.added.length} new, ${requests.removed.length} removed, ` +
+      `${requests.bigger.length} bigger, ${requests.slower.length} slower (matched by URL).`
+    : "Request-level diff needs the waterfall of both runs; one of them has none.";
+  if (requests) {
+    const sizeRow = r => `<tr>${urlCell(r.url)}<td>${escHtml(r.type)}</td><td>${formatBytes(r.transferBytes)}</td></tr>`;
+    fillDiffTable("tbl-diff-added", requests.added, 3, sizeRow);
+    fillDiffTable("tbl-diff-removed", requests.removed, 3, sizeRow);
+    fillDiffTable("tbl-diff-bigger", requests.bigger, 5, r => `<tr>${urlCell(r.url)}<td>${escHtml(r.type)}</td>
+      <td>${formatBytes(r.base)}</td><td>${formatBytes(r.target)}</td>
+      <td class="poor-text">+${formatBytes(r.delta)}</td></tr>`);
+    fillDiffTable("tbl-diff-slower", requests.slower, 5, r => `<tr>${urlCell(r.url)}<td>${escHtml(r.type)}</td>
+      <td>${formatMs(r.base)} ms</td><td>${formatMs(r.target)} ms</td>
+      <td class="poor-text">+${formatMs(r.delta)} ms</td></tr>`);
+  }
+
+  const breakdownRow = e => `<tr>
+      <td title="${escHtml(e.key)}">${escHtml(e.key)}</td>
+      <td>${e.baseRequests} → ${e.targetRequests}</td>
+      <td>${formatBytes(e.baseBytes)}</td>
+      <td>${formatBytes(e.targetBytes)}</td>
+      <td class="${deltaClass(e.deltaBytes)}">${formatDiffDelta("bytes", e.deltaBytes)}</td>
+    </tr>`;
+  fillDiffTable("tbl-diff-domains", diff.byDomain, 5, breakdownRow);
+  fillDiffTable("tbl-diff-types", diff.byType, 5, breakdownRow);
+}
+
+// ── Export ─────────────────────────────────────────────────────────────────────
+
+function exportJSON(report) {
+  const { har: _har, ...exportable } = report;
+  exportable.coverage = stripCoverageExport(report.coverage);
+  // Omit large trace chunks from export if they're separate
+  if (exportable.trace && exportable.trace.chunks) {
+    exportable.trace = { ...exportable.trace };
+    delete exportable.trace.chunks;
+    exportable.trace.note = "Trace chunks omitted from JSON export; use Download Trace button.";
+  }
+  if (exportable.trace && exportable.trace.profile) {
+    exportable.trace = { ...exportable.trace };
+    delete exportable.trace.profile;
+  }
+  const blob = new Blob([JSON.stringify(exportable, null, 2)], { type: "application/json" });
+  const ts = new Date().toISOString().replace(/[:.]/g, "-").slice(0, 19);
+  downloadBlob(blob, `perf-report-${ts}.json`);
+}
+
+function exportHAR(report) {
+  const blob = new Blob([JSON.stringify(report.har, null, 2)], { type: "application/json" });
+  const host = (() => { try { return new URL(report.meta.url).hostname; } catch (_) { return "page"; } })();
+  const ts = new Date(report.meta.timestamp).toISOString().replace(/[:.]/g, "-").slice(0, 19);
+  downloadBlob(blob, `${host}-${ts}.har`);
+}
+
+// DevTools/Puppeteer coverage format: [{ url, ranges: [{ start, end }], text }]
+// with used ranges only, as read by puppeteer-to-istanbul and similar tools
+function exportCoverage(report) {
+  const blob = new Blob([JSON.stringify(report.coverage.export, null, 2)], { type: "application/json" });
+  const host = (() => { try { return new URL(report.meta.url).hostname; } catch (_) { return "page"; } })();
+  const ts = new Date(report.meta.timestamp).toISOString().replace(/[:.]/g, "-").slice(0, 19);
+  downloadBlob(blob, `${host}-${ts}-coverage.json`);
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ── Utilities ──────────────────────────────────────────────────────────────────
+
+export function escHtml(str) {
+  if (!str) return "";
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}